@@ -0,0 +1,130 @@
+/**
+ * a11y.js — Screen reader and keyboard layer for the explore canvas
+ *
+ * Mirrors the current room into an off-screen ARIA grid. Content tiles
+ * (posts, projects, about, doors) are in the tab order, so Tab and
+ * Shift+Tab move through them; focusing one asks the game to walk there.
+ * A polite live region announces where the character ends up.
+ */
+
+import { TILE } from './map.js';
+import { tileTypeNamed } from './tiletypes.js';
+
+const TILE_NAMES = {
+  [TILE.GRASS]:   'Grass',
+  [TILE.PATH]:    'Path',
+  [TILE.DECO]:    'Obstacle',
+  [TILE.SPAWN]:   'Plaza',
+  [TILE.SIGN]:    'Signpost',
+};
+
+const CONTENT_NAMES = {
+  post: 'Post',
+  project: 'Project',
+  tab: 'Guitar tab',
+  about: 'About',
+  door: 'Door to',
+  exit: 'Exit',
+  sign: 'District',
+};
+
+// Content tiles that Tab visits, along with registered tiles. The exit is
+// left out: arriving there leaves the page.
+const TAB_STOPS = new Set(['post', 'project', 'tab', 'about', 'door']);
+
+/**
+ * Returns a short spoken description of a content entry.
+ */
+export function describeContent(content) {
+  const custom = tileTypeNamed(content.type);
+  const name = CONTENT_NAMES[content.type] || custom?.label || 'Content';
+  let text = custom && content.title === name ? name : `${name} ${content.title}`;
+  if (content.type === 'sign' && content.meta) text += `: ${content.meta}`;
+  else if (content.meta && !['exit', 'door'].includes(content.type)) text += `, ${content.meta}`;
+  return text;
+}
+
+/**
+ * Creates the accessible layer.
+ *   gridEl        — element to fill with the ARIA grid
+ *   liveEl        — polite live region for announcements
+ *   onFocusTile   — called with (col, row) when a tile cell gets focus
+ *   onBlurGrid    — called when focus leaves the grid
+ */
+export function createA11yLayer({ gridEl, liveEl, onFocusTile, onBlurGrid }) {
+  let room = null;
+  let cells = [];
+  let current = null;
+  let refocus = false;   // grid had focus when the room was rebuilt
+
+  function cellLabel(col, row) {
+    const content = room.contentMap.get(`${col},${row}`);
+    if (content) return describeContent(content);
+    return TILE_NAMES[room.grid[row][col]] || 'Grass';
+  }
+
+  /** Rebuilds the grid for a room. */
+  function setRoom(nextRoom) {
+    room = nextRoom;
+    refocus = gridEl.contains(document.activeElement);
+    gridEl.textContent = '';
+    gridEl.setAttribute('aria-label', `${room.name} map`);
+    gridEl.setAttribute('aria-rowcount', String(room.grid.length));
+    gridEl.setAttribute('aria-colcount', String(room.grid[0].length));
+
+    cells = room.grid.map((tiles, row) => {
+      const rowEl = document.createElement('div');
+      rowEl.setAttribute('role', 'row');
+      const rowCells = tiles.map((_, col) => {
+        const cell = document.createElement('div');
+        cell.setAttribute('role', 'gridcell');
+        cell.textContent = cellLabel(col, row);
+        const content = room.contentMap.get(`${col},${row}`);
+        cell.tabIndex = content && (TAB_STOPS.has(content.type) || tileTypeNamed(content.type)) ? 0 : -1;
+        cell.addEventListener('focus', () => onFocusTile(col, row));
+        rowEl.appendChild(cell);
+        return cell;
+      });
+      gridEl.appendChild(rowEl);
+      return rowCells;
+    });
+    current = null;
+  }
+
+  gridEl.addEventListener('focusout', (e) => {
+    if (!gridEl.contains(e.relatedTarget)) onBlurGrid();
+  });
+
+  /**
+   * Marks the character's cell. If focus is already in the grid it
+   * follows the character, so the screen reader cursor stays in sync.
+   */
+  function setPosition(col, row) {
+    current?.removeAttribute('aria-current');
+    current = cells[row]?.[col] || null;
+    if (!current) return;
+    current.setAttribute('aria-current', 'location');
+    const inGrid = refocus || gridEl.contains(document.activeElement);
+    refocus = false;
+    if (inGrid && document.activeElement !== current) current.focus();
+  }
+
+  /** Returns the spoken name of a tile in the current room. */
+  function describeTile(col, row) {
+    return room ? cellLabel(col, row) : '';
+  }
+
+  /** Speaks a message through the live region. */
+  function announce(text) {
+    // Clear first so repeating the same message is still announced
+    liveEl.textContent = '';
+    requestAnimationFrame(() => { liveEl.textContent = text; });
+  }
+
+  /** Moves focus into the grid, onto the character's cell. */
+  function focus() {
+    (current || cells[0]?.[0])?.focus();
+  }
+
+  return { setRoom, setPosition, describeTile, announce, focus };
+}
@@ -0,0 +1,123 @@
+/**
+ * api.js — window.Explore, the explore world for other scripts
+ *
+ * game.js puts the API on window.Explore as soon as it loads. Scripts
+ * that load after it (type="module" or defer) run before the world is
+ * built, so that is the place to register tile types. Commands work
+ * once the reader has entered the world (Explore.ready) and go through
+ * the same checks as the reader's own input: they return false while
+ * the panel or a dialogue is open, or between rooms.
+ *
+ *   Explore.walkTo(col, row)          walk in the current room
+ *   Explore.teleport(col, row, room)  jump there, changing rooms if given
+ *   Explore.openContent(url)          open a page in the content panel
+ *   Explore.closeContent()
+ *   Explore.setTheme(name)            switch the theme (and the blog's)
+ *   Explore.where()                   { room, col, row, dir, walking, panel }
+ *   Explore.registerTileType(name, spec)   see tiletypes.js
+ *   Explore.on(event, fn)             returns a function that stops it
+ *   Explore.off(event, fn)
+ *
+ * Events:
+ *   arrive         { room, col, row, content }  a walk or jump ended
+ *   content:open   { url, content }             content is null for pages
+ *                                               that aren't in the world
+ *   content:close  {}
+ *   room:change    { room }                     room id
+ *   exit           { url }                      the reader is leaving
+ */
+
+import { registerTileType } from './tiletypes.js';
+
+export const EVENTS = ['arrive', 'content:open', 'content:close', 'room:change', 'exit'];
+
+/**
+ * Creates the API and its event bus. The game hands over its commands
+ * with attach() once the world is built (tile types can't be added after
+ * that) and calls start() when the reader enters.
+ *
+ * Returns { api, attach(commands), start(), emit(type, detail) }.
+ */
+export function createExploreApi() {
+  const listeners = {};
+  let commands = null;
+  let started = false;
+  let resolveReady;
+  const ready = new Promise((resolve) => { resolveReady = resolve; });
+
+  function emit(type, detail = {}) {
+    // One broken listener shouldn't keep the others (or the game) from
+    // hearing about it
+    (listeners[type] || []).forEach((fn) => {
+      try {
+        fn(detail);
+      } catch (err) {
+        console.error(`[explore] "${type}" listener failed:`, err);
+      }
+    });
+  }
+
+  function on(type, fn) {
+    if (!EVENTS.includes(type)) {
+      console.warn(`[explore] Explore.on: unknown event "${type}" (events are ${EVENTS.join(', ')})`);
+      return () => {};
+    }
+    (listeners[type] ||= []).push(fn);
+    return () => off(type, fn);
+  }
+
+  function off(type, fn) {
+    if (listeners[type]) listeners[type] = listeners[type].filter((f) => f !== fn);
+  }
+
+  // Commands are false until the reader is in the world
+  function command(name) {
+    return (...args) => (started ? Boolean(commands[name](...args)) : false);
+  }
+
+  const api = {
+    ready,
+    on,
+    off,
+    walkTo: command('walkTo'),
+    teleport: command('teleport'),
+    openContent: command('openContent'),
+    closeContent: command('closeContent'),
+    setTheme: command('setTheme'),
+    where: () => commands?.where() ?? null,
+    registerTileType(name, spec) {
+      if (commands) {
+        console.warn(`[explore] registerTileType: "${name}" came after the world was built`);
+        return null;
+      }
+      return registerTileType(name, spec);
+    },
+  };
+
+  return {
+    api,
+    emit,
+    attach(next) {
+      commands = next;
+    },
+    start() {
+      if (started) return;
+      started = true;
+      resolveReady(api);
+    },
+  };
+}
+
+/**
+ * Resolves once the scripts after game.js have run, so the tile types
+ * they register are in the world. Deferred and module scripts run before
+ * DOMContentLoaded, while readyState is already 'interactive'; load
+ * covers a page that is past DOMContentLoaded but still loading.
+ */
+export function afterPageScripts(doc = document, win = window) {
+  if (doc.readyState === 'complete') return Promise.resolve();
+  return new Promise((resolve) => {
+    doc.addEventListener('DOMContentLoaded', resolve, { once: true });
+    win.addEventListener('load', resolve, { once: true });
+  });
+}
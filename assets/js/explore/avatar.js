@@ -0,0 +1,121 @@
+/**
+ * avatar.js — The reader's avatar: hair, outfit color and accessory
+ *
+ * The choice is saved in localStorage. Outfit colors are palette keys,
+ * so the avatar takes on each theme's colors. The picker on the start
+ * prompt previews the avatar facing all four ways.
+ */
+
+import { drawCharacter } from './tiles.js';
+
+const STORAGE_KEY = 'explore-avatar';
+
+export const AVATAR_OPTIONS = {
+  hair: [['short', 'Short'], ['long', 'Long'], ['spiky', 'Spiky'], ['none', 'None']],
+  outfit: [['char1', 'Classic'], ['blog', 'Bright'], ['project', 'Bold'], ['about', 'Deep']],
+  accessory: [['none', 'None'], ['glasses', 'Glasses'], ['hat', 'Hat'], ['scarf', 'Scarf']],
+};
+
+const PART_NAMES = { hair: 'Hair', outfit: 'Outfit', accessory: 'Extra' };
+
+export const DEFAULT_AVATAR = { hair: 'short', outfit: 'char1', accessory: 'none' };
+
+const PREVIEW_DIRS = ['down', 'left', 'up', 'right'];
+
+/**
+ * Returns the saved avatar, with unknown or missing parts reset to the
+ * default.
+ */
+export function loadAvatar() {
+  let saved;
+  try {
+    saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+  } catch {
+    saved = null;
+  }
+  const avatar = { ...DEFAULT_AVATAR };
+  for (const part of Object.keys(AVATAR_OPTIONS)) {
+    if (AVATAR_OPTIONS[part].some(([value]) => value === saved?.[part])) avatar[part] = saved[part];
+  }
+  return avatar;
+}
+
+export function saveAvatar(avatar) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(avatar));
+}
+
+/**
+ * Builds the picker into root: a preview canvas and a radio group per
+ * part. Each change is saved and passed to onChange(avatar).
+ * Returns { avatar, setPalette(palette) }.
+ */
+export function createAvatarPicker(root, { palette, onChange }) {
+  let avatar = loadAvatar();
+  const swatches = [];
+
+  const preview = document.createElement('canvas');
+  preview.className = 'avatar-preview';
+  preview.width = 16 * PREVIEW_DIRS.length;
+  preview.height = 16;
+  preview.setAttribute('aria-hidden', 'true');
+  root.appendChild(preview);
+
+  function drawPreview() {
+    const ctx = preview.getContext('2d');
+    ctx.clearRect(0, 0, preview.width, preview.height);
+    PREVIEW_DIRS.forEach((dir, i) => {
+      ctx.save();
+      ctx.translate(i * 16, 0);
+      drawCharacter(ctx, palette, avatar, dir);
+      ctx.restore();
+    });
+  }
+
+  for (const [part, options] of Object.entries(AVATAR_OPTIONS)) {
+    const group = document.createElement('fieldset');
+    group.className = 'avatar-part';
+    const legend = document.createElement('legend');
+    legend.textContent = PART_NAMES[part];
+    group.appendChild(legend);
+
+    for (const [value, label] of options) {
+      const option = document.createElement('label');
+      option.className = 'avatar-choice';
+      const input = document.createElement('input');
+      input.type = 'radio';
+      input.name = `avatar-${part}`;
+      input.value = value;
+      input.checked = avatar[part] === value;
+      input.addEventListener('change', () => {
+        avatar = { ...avatar, [part]: value };
+        saveAvatar(avatar);
+        drawPreview();
+        onChange(avatar);
+      });
+      option.appendChild(input);
+
+      // Outfits show their color
+      if (part === 'outfit') {
+        const swatch = document.createElement('span');
+        swatch.className = 'avatar-swatch';
+        swatch.style.background = palette[value];
+        swatches.push([swatch, value]);
+        option.appendChild(swatch);
+      }
+      option.append(label);
+      group.appendChild(option);
+    }
+    root.appendChild(group);
+  }
+
+  drawPreview();
+  return {
+    get avatar() { return avatar; },
+
+    setPalette(nextPalette) {
+      palette = nextPalette;
+      swatches.forEach(([swatch, value]) => { swatch.style.background = palette[value]; });
+      drawPreview();
+    },
+  };
+}
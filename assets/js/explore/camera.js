@@ -0,0 +1,131 @@
+/**
+ * camera.js — Scrolling viewport for maps larger than the screen
+ *
+ * The camera works in world pixels (one tile = 16px before scaling). It
+ * eases toward a follow target, clamps at the map edges (centering maps
+ * smaller than the view), and zooms on top of the base render scale.
+ */
+
+export const MIN_ZOOM = 0.5;
+export const MAX_ZOOM = 2;
+export const ZOOM_STEP = 1.25;   // multiplier per wheel notch / key press
+
+const FOLLOW_LAG = 120;          // ms, time constant of the follow easing
+
+/**
+ * Creates a camera for a world of worldWidth x worldHeight pixels,
+ * rendered at baseScale screen pixels per world pixel at zoom 1.
+ */
+export function createCamera({ worldWidth, worldHeight, baseScale }) {
+  let x = worldWidth / 2;
+  let y = worldHeight / 2;
+  let targetX = x;
+  let targetY = y;
+  let zoom = 1;
+  let viewWidth = worldWidth * baseScale;
+  let viewHeight = worldHeight * baseScale;
+
+  function scale() {
+    return baseScale * zoom;
+  }
+
+  // Keeps a center coordinate inside the map on one axis
+  function clampAxis(center, worldSize, viewSize) {
+    const half = viewSize / scale() / 2;
+    if (worldSize <= half * 2) return worldSize / 2;
+    return Math.min(Math.max(center, half), worldSize - half);
+  }
+
+  function clampAll() {
+    x = clampAxis(x, worldWidth, viewWidth);
+    y = clampAxis(y, worldHeight, viewHeight);
+    targetX = clampAxis(targetX, worldWidth, viewWidth);
+    targetY = clampAxis(targetY, worldHeight, viewHeight);
+  }
+
+  return {
+    get x() { return x; },
+    get y() { return y; },
+    get zoom() { return zoom; },
+    get scale() { return scale(); },
+
+    /** Sets the size of the map in world pixels (e.g. on room change). */
+    setWorldSize(width, height) {
+      worldWidth = width;
+      worldHeight = height;
+      clampAll();
+    },
+
+    /** Sets the screen size of the view in CSS pixels. */
+    resize(width, height) {
+      viewWidth = width;
+      viewHeight = height;
+      clampAll();
+    },
+
+    /** Sets the point the camera eases toward. */
+    follow(wx, wy) {
+      targetX = clampAxis(wx, worldWidth, viewWidth);
+      targetY = clampAxis(wy, worldHeight, viewHeight);
+    },
+
+    /** Jumps straight to the follow target. */
+    snap() {
+      x = targetX;
+      y = targetY;
+    },
+
+    /** Advances the follow easing by dt milliseconds. */
+    update(dt) {
+      const t = 1 - Math.exp(-dt / FOLLOW_LAG);
+      x += (targetX - x) * t;
+      y += (targetY - y) * t;
+      if (Math.abs(targetX - x) < 0.01) x = targetX;
+      if (Math.abs(targetY - y) < 0.01) y = targetY;
+    },
+
+    setZoom(z) {
+      zoom = Math.min(Math.max(z, MIN_ZOOM), MAX_ZOOM);
+      clampAll();
+    },
+
+    zoomBy(factor) {
+      this.setZoom(zoom * factor);
+    },
+
+    /** Converts a point in view (CSS) pixels to world pixels. */
+    screenToWorld(sx, sy) {
+      const s = scale();
+      return {
+        x: x + (sx - viewWidth / 2) / s,
+        y: y + (sy - viewHeight / 2) / s,
+      };
+    },
+
+    /**
+     * Returns the inclusive tile range {c0, r0, c1, r1} covered by the
+     * view, padded by one tile so edges don't pop in while scrolling.
+     */
+    visibleTiles(tileSize) {
+      const s = scale();
+      const halfW = viewWidth / s / 2;
+      const halfH = viewHeight / s / 2;
+      return {
+        c0: Math.floor((x - halfW) / tileSize) - 1,
+        r0: Math.floor((y - halfH) / tileSize) - 1,
+        c1: Math.floor((x + halfW) / tileSize) + 1,
+        r1: Math.floor((y + halfH) / tileSize) + 1,
+      };
+    },
+
+    /** Positions and scales a Pixi container to show the current view. */
+    applyTo(container) {
+      const s = scale();
+      container.scale.set(s);
+      container.position.set(
+        Math.round(viewWidth / 2 - x * s),
+        Math.round(viewHeight / 2 - y * s)
+      );
+    },
+  };
+}
@@ -0,0 +1,70 @@
+/**
+ * card.js — Preview cards for content tiles
+ *
+ * Builds the HTML shown in the HUD label when the character stands on a
+ * tile or the mouse hovers one: title, date and reading time, a short
+ * description, tag chips colored from _data/tags.yml and badges.
+ */
+
+const WORDS_PER_MINUTE = 200;
+const EXCERPT_LENGTH = 140;   // characters of description shown
+
+const ESC_MAP = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+function escapeHTML(str) {
+  return String(str).replace(/[&<>"']/g, (ch) => ESC_MAP[ch]);
+}
+
+// Cuts text at a word boundary and adds an ellipsis
+function excerpt(text) {
+  if (text.length <= EXCERPT_LENGTH) return text;
+  const cut = text.slice(0, EXCERPT_LENGTH);
+  return `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : cut.length)}…`;
+}
+
+/**
+ * Returns a tag name -> color lookup for EXPLORE_DATA.tags. Only hex
+ * colors are kept, since they end up in a style attribute.
+ */
+export function tagColors(tags) {
+  return new Map((tags || [])
+    .filter((tag) => /^#[0-9a-f]{3,8}$/i.test(tag.color || ''))
+    .map((tag) => [tag.name, tag.color]));
+}
+
+/**
+ * Returns the card HTML for a contentMap entry.
+ *   colors  — Map from tagColors()
+ *   status  — 'new', 'visited' or null
+ *   hint    — short line at the bottom (e.g. "Press E or click to open")
+ */
+export function cardHTML(content, { colors, status, hint }) {
+  let html = '';
+
+  const badges = [];
+  if (content.featured) badges.push('<span class="card-badge">Featured</span>');
+  if (status === 'new') badges.push('<span class="card-badge card-badge-new">New</span>');
+  if (status === 'visited') badges.push('<span class="card-badge card-badge-visited">Visited</span>');
+  html += `<div class="card-title">${escapeHTML(content.title)}${badges.join('')}</div>`;
+
+  const details = [];
+  if (content.meta) details.push(escapeHTML(content.meta));
+  if (content.words) details.push(`${Math.max(1, Math.round(content.words / WORDS_PER_MINUTE))} min read`);
+  if (content.category) details.push(escapeHTML(content.category));
+  if (details.length) html += `<div class="card-meta">${details.join(' · ')}</div>`;
+
+  if (content.description) {
+    html += `<div class="card-description">${escapeHTML(excerpt(content.description))}</div>`;
+  }
+
+  if (content.tags && content.tags.length) {
+    const chips = content.tags.map((tag) => {
+      const color = colors.get(tag);
+      const dot = color ? `<span class="card-tag-dot" style="background:${color}"></span>` : '';
+      return `<span class="card-tag">${dot}${escapeHTML(tag)}</span>`;
+    });
+    html += `<div class="card-tags">${chips.join('')}</div>`;
+  }
+
+  if (hint) html += `<div class="card-hint">${escapeHTML(hint)}</div>`;
+  return html;
+}
@@ -0,0 +1,364 @@
+/**
+ * core.js — The explore game without a screen
+ *
+ * Holds the game state that doesn't need Pixi or the DOM: the room the
+ * character is in, the tile it stands on and the way it faces, the walk
+ * it is on, the content opened so far and what the content panel shows.
+ * Commands (walkTo, step, interact, ...) change the state and update(dt)
+ * moves a walk along. What happens comes out as events, which game.js
+ * turns into sprites, sounds for screen readers and HUD updates:
+ *
+ *   walk    { col, row }                 a walk or step sets off for a tile
+ *   arrive  { col, row, content, meet }  a walk or jump ended on a tile
+ *   door    { room }                     it ended on a door; enterRoom
+ *                                        goes through
+ *   exit    { url }                      it ended on the exit
+ *   room    { room }                     another room (or the same one,
+ *                                        after reset) is showing
+ *   open    { url, content }             the panel opens
+ *   close   {}                           the panel closes
+ *
+ * Nothing here reads the clock, so the same commands and time steps
+ * always end in the same state.
+ */
+
+import { findDoor, findPath, findSpawn, inBounds, isWalkable } from './map.js';
+import { tileTypeNamed } from './tiletypes.js';
+
+// Doors, signs and the exit have no page to show in the panel, and
+// registered tiles with an interact handler do their own thing
+export function isOpenable(content) {
+  return Boolean(content && content.url && content.type !== 'exit' && !isUsable(content));
+}
+
+// Registered tiles with an interact handler
+export function isUsable(content) {
+  return Boolean(tileTypeNamed(content?.type)?.interact);
+}
+
+const DIR_STEPS = { up: [0, -1], down: [0, 1], left: [-1, 0], right: [1, 0] };
+
+/**
+ * Which way a step of (dc, dr) faces; diagonal steps face up or down.
+ * null for no step.
+ */
+export function facing(dc, dr) {
+  if (dr < 0) return 'up';
+  if (dr > 0) return 'down';
+  if (dc < 0) return 'left';
+  if (dc > 0) return 'right';
+  return null;
+}
+
+/**
+ * Creates the game state for a world from buildWorld.
+ *   rooms, start  — the Map of rooms and the start room id
+ *   position      — { room, col, row, dir } to resume at, or null for
+ *                   the start room's spawn
+ *   opened        — Set of opened content URLs, kept up to date
+ *   walkSpeed     — ms per tile (diagonal steps take √2 as long)
+ *   diagonal      — whether walks may step diagonally
+ *   blocked       — (col, row) => true for tiles taken by someone (NPCs)
+ *   instant       — () => true to jump to the end of walks (reduced
+ *                   motion)
+ */
+export function createGameCore({
+  rooms, start, position = null, opened = new Set(), walkSpeed = 150,
+  diagonal = false, blocked = () => false, instant = () => false,
+}) {
+  const listeners = {};
+
+  let room = rooms.get(position ? position.room : start);
+  const home = position || findSpawn(room.grid);
+  let col = home.col;
+  let row = home.row;
+  let dir = position?.dir || 'down';
+
+  let path = [];          // tiles still to walk, after the current step
+  let walking = false;
+  let moved = false;      // whether the walk has finished a step yet
+  let from = { col, row };
+  let to = { col, row };
+  let progress = 0;       // 0-1 through the current step
+  let stepTime = walkSpeed;
+  let meet = null;        // what the walk is going to see, handed to "arrive"
+  let panel = null;       // URL in the content panel
+
+  function emit(type, detail = {}) {
+    (listeners[type] || []).forEach((fn) => fn(detail));
+  }
+
+  function contentAt(c, r) {
+    return room.contentMap.get(`${c},${r}`) || null;
+  }
+
+  function halt() {
+    path = [];
+    walking = false;
+    progress = 0;
+  }
+
+  function startStep() {
+    // Instant walks skip to the last tile, or next to it if someone is
+    // standing there now
+    if (instant() && path.length > 0) {
+      let last = path[path.length - 1];
+      if (blocked(last.col, last.row)) {
+        path = findPath(room.grid, col, row, last.col, last.row, { diagonal, blocked });
+        if (path.length === 0) {
+          halt();
+          return;
+        }
+        last = path[path.length - 1];
+      }
+      const prev = path[path.length - 2] || { col, row };
+      dir = facing(last.col - prev.col, last.row - prev.row) || dir;
+      path = [];
+      col = last.col;
+      row = last.row;
+    }
+
+    if (path.length === 0) {
+      halt();
+      arrive();
+      return;
+    }
+
+    // Someone stepped into the way: find another route to the same tile
+    if (blocked(path[0].col, path[0].row)) {
+      const goal = path[path.length - 1];
+      path = findPath(room.grid, col, row, goal.col, goal.row, { diagonal, blocked });
+      // No way round before the first step: stop without arriving, so the
+      // door or exit the character stands on doesn't fire
+      if (path.length === 0 && !moved) {
+        halt();
+        return;
+      }
+      startStep();
+      return;
+    }
+
+    from = { col, row };
+    to = path.shift();
+    progress = 0;
+    stepTime = to.col !== from.col && to.row !== from.row ? walkSpeed * Math.SQRT2 : walkSpeed;
+    walking = true;
+    dir = facing(to.col - from.col, to.row - from.row) || dir;
+  }
+
+  // A walk with somewhere to be (meet) hands that to "arrive" and leaves
+  // the tile's own door or exit alone
+  function arrive() {
+    const content = contentAt(col, row);
+    const goingTo = meet;
+    meet = null;
+    emit('arrive', { col, row, content, meet: goingTo });
+    if (goingTo) return;
+    if (content?.type === 'exit') emit('exit', { url: content.url });
+    else if (content?.type === 'door') emit('door', { room: content.room });
+  }
+
+  /**
+   * Walks along the shortest path to a tile, or next to it if it's an
+   * obstacle. meet is passed on to the "arrive" event. Returns false if
+   * the tile can't be reached or the panel is open.
+   */
+  function walkTo(c, r, { meet: goingTo = null } = {}) {
+    if (panel) return false;
+    const steps = findPath(room.grid, col, row, c, r, { diagonal, blocked });
+    if (steps.length === 0) return false;
+    meet = goingTo;
+    moved = false;
+    path = steps;
+    emit('walk', { col: c, row: r });
+    startStep();
+    return true;
+  }
+
+  /**
+   * Steps one tile. Bumping into someone (or a registered obstacle that
+   * can be used) turns to face them instead. Returns whether the
+   * character set off.
+   */
+  function step(dc, dr) {
+    if (panel || walking) return false;
+    const c = col + dc;
+    const r = row + dr;
+    if (!inBounds(room.grid, c, r)) return false;
+    if (!isWalkable(room.grid[r][c])) {
+      if (isUsable(contentAt(c, r))) face(dc, dr);
+      return false;
+    }
+    if (blocked(c, r)) {
+      face(dc, dr);
+      return false;
+    }
+    meet = null;
+    moved = false;
+    path = [{ col: c, row: r }];
+    emit('walk', { col: c, row: r });
+    startStep();
+    return true;
+  }
+
+  /**
+   * A click or tap on a tile: opens or uses it if the character is on it
+   * (or, for a registered obstacle, right next to it), else walks there.
+   */
+  function click(c, r) {
+    const content = contentAt(c, r);
+    if (c === col && r === row && (isOpenable(content) || isUsable(content))) return interact();
+    if (isUsable(content) && Math.abs(c - col) + Math.abs(r - row) === 1 && !isWalkable(room.grid[r][c])) {
+      if (panel || walking) return false;
+      face(c - col, r - row);
+      return interact();
+    }
+    return walkTo(c, r);
+  }
+
+  /**
+   * Opens the content under the character, or runs a registered tile's
+   * interact handler (for an obstacle, the one it faces). Returns whether
+   * it did.
+   */
+  function interact() {
+    if (panel || walking) return false;
+    const content = contentAt(col, row);
+    if (isUsable(content)) return use(content, col, row);
+    if (isOpenable(content)) return open(content);
+    const [dc, dr] = DIR_STEPS[dir];
+    const ahead = contentAt(col + dc, row + dr);
+    if (isUsable(ahead) && !isWalkable(room.grid[row + dr][col + dc])) return use(ahead, col + dc, row + dr);
+    return false;
+  }
+
+  function use(content, c, r) {
+    tileTypeNamed(content.type).interact(content, { room: room.id, col: c, row: r });
+    return true;
+  }
+
+  /** Opens content in the panel and counts it as opened. */
+  function open(content) {
+    if (panel) return false;
+    opened.add(content.url);
+    panel = content.url;
+    emit('open', { url: content.url, content });
+    return true;
+  }
+
+  /** Opens a page in the panel that isn't in the world. */
+  function openUrl(url) {
+    if (panel) return false;
+    panel = url;
+    emit('open', { url, content: null });
+    return true;
+  }
+
+  function closePanel() {
+    if (!panel) return;
+    panel = null;
+    emit('close');
+  }
+
+  /** Puts the character on a tile without walking or arriving. */
+  function place(c, r) {
+    halt();
+    meet = null;
+    col = c;
+    row = r;
+  }
+
+  /** Puts the character on a tile and arrives there. */
+  function jumpTo(c, r) {
+    place(c, r);
+    arrive();
+  }
+
+  /** Stops the walk once the current step is done. */
+  function stop() {
+    path = [];
+    meet = null;
+  }
+
+  function face(dc, dr) {
+    dir = facing(dc, dr) || dir;
+  }
+
+  /**
+   * Shows another room with the character on the door back to this one
+   * (or the door to the start room, or the spawn). Returns false for an
+   * unknown room.
+   */
+  function enterRoom(targetId) {
+    const target = rooms.get(targetId);
+    if (!target) return false;
+    const fromId = room.id;
+    room = target;
+    const arrival = findDoor(room, fromId) || findDoor(room, start) || findSpawn(room.grid);
+    place(arrival.col, arrival.row);
+    emit('room', { room });
+    return true;
+  }
+
+  /** Back to the start room's spawn with nothing opened. */
+  function reset() {
+    opened.clear();
+    closePanel();
+    room = rooms.get(start);
+    const spawn = findSpawn(room.grid);
+    place(spawn.col, spawn.row);
+    dir = 'down';
+    emit('room', { room });
+  }
+
+  /** Moves the walk on by dt ms. */
+  function update(dt) {
+    if (!walking) return;
+    progress += dt / stepTime;
+    if (progress >= 1) {
+      col = to.col;
+      row = to.row;
+      moved = true;
+      startStep();
+    }
+  }
+
+  /** Listens for an event; returns a function that stops listening. */
+  function on(type, fn) {
+    (listeners[type] ||= []).push(fn);
+    return () => {
+      listeners[type] = listeners[type].filter((f) => f !== fn);
+    };
+  }
+
+  return {
+    walkTo,
+    step,
+    click,
+    interact,
+    open,
+    openUrl,
+    closePanel,
+    place,
+    jumpTo,
+    stop,
+    face,
+    enterRoom,
+    reset,
+    update,
+    on,
+    contentAt,
+    get room() { return room; },
+    get col() { return col; },
+    get row() { return row; },
+    get dir() { return dir; },
+    get walking() { return walking; },
+    // The tile the current step goes to, while walking
+    get stepTo() { return walking ? to : null; },
+    // Where the character is drawn, in tiles, part way through a step
+    get x() { return walking ? from.col + (to.col - from.col) * progress : col; },
+    get y() { return walking ? from.row + (to.row - from.row) * progress : row; },
+    get opened() { return opened; },
+    get panel() { return panel; },
+  };
+}
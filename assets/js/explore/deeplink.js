@@ -0,0 +1,88 @@
+/**
+ * deeplink.js — Links to places in the explore world
+ *
+ * The hash of /explore/ names a place to start at:
+ *
+ *   #post=/blog/2026/03/18/Stasis/        next to a post (project=, tab=
+ *                                         and about= work the same)
+ *   #post=/blog/2026/03/18/Stasis/&open   ... with its panel open
+ *   #at=5,4                               a tile in the start room
+ *   #room=workshop&at=5,4                 a tile in another room
+ *
+ * game.js writes the hash back as the character moves and the panel
+ * opens, with history entries so Back retraces them.
+ */
+
+import { inBounds, isWalkable } from './map.js';
+
+const CONTENT_KEYS = ['post', 'project', 'tab', 'about'];
+
+// Where to stand to face a tile, in order of preference: below it first
+const SIDES = [
+  { dc: 0, dr: 1, dir: 'up' },
+  { dc: -1, dr: 0, dir: 'right' },
+  { dc: 1, dr: 0, dir: 'left' },
+  { dc: 0, dr: -1, dir: 'down' },
+];
+
+function decode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+// URLs keep their slashes, so links stay readable
+function encode(value) {
+  return encodeURIComponent(value).replace(/%2F/g, '/');
+}
+
+/**
+ * Reads a location hash. Returns { url, open } for content, { room, col,
+ * row } for a tile (room is null for the start room), or null.
+ */
+export function parseHash(hash) {
+  const params = new Map();
+  for (const part of String(hash || '').replace(/^#/, '').split('&')) {
+    if (!part) continue;
+    const eq = part.indexOf('=');
+    if (eq < 0) params.set(part, '');
+    else params.set(part.slice(0, eq), decode(part.slice(eq + 1)));
+  }
+
+  const key = CONTENT_KEYS.find((k) => params.get(k));
+  if (key) return { url: params.get(key), open: params.has('open') };
+
+  const at = /^(\d+),(\d+)$/.exec(params.get('at') || '');
+  if (at) return { room: params.get('room') || null, col: Number(at[1]), row: Number(at[2]) };
+  return null;
+}
+
+/**
+ * The hash for a place: the content there if it's a post, project, tab
+ * or About, else the tile. start is the start room's id, which tiles
+ * leave out.
+ */
+export function formatHash({ room, col, row, content = null, open = false }, start) {
+  let hash;
+  if (content && CONTENT_KEYS.includes(content.type) && content.url) {
+    hash = `${content.type}=${encode(content.url)}${open ? '&open' : ''}`;
+  } else {
+    hash = room === start ? `at=${col},${row}` : `room=${room}&at=${col},${row}`;
+  }
+  return `#${hash}`;
+}
+
+/**
+ * Where to stand next to a tile, facing it: { col, row, dir }. Prefers a
+ * free walkable tile without content; blocked(col, row) marks tiles taken
+ * by someone. Falls back to the tile itself.
+ */
+export function besideTile(room, col, row, blocked = () => false) {
+  const free = (c, r) => inBounds(room.grid, c, r) && isWalkable(room.grid[r][c]) && !blocked(c, r);
+  const sides = SIDES.map(({ dc, dr, dir }) => ({ col: col + dc, row: row + dr, dir }))
+    .filter((spot) => free(spot.col, spot.row));
+  const spot = sides.find((s) => !room.contentMap.has(`${s.col},${s.row}`)) || sides[0];
+  return spot || { col, row, dir: 'down' };
+}
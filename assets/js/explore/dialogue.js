@@ -0,0 +1,90 @@
+/**
+ * dialogue.js — The box NPCs talk in
+ *
+ * Shows one dialogue node at a time: who is talking, what they say and
+ * the reader's replies as buttons. The box only handles showing and
+ * picking; following a reply (the next node, walking, opening content)
+ * is up to the caller.
+ */
+
+/**
+ * Wires up the dialogue box. Returns { open(name, node, onPick),
+ * show(node), close(), isOpen }. node is { text, choices } from
+ * dialogueNode; onPick(choice) runs for the reply picked. A node
+ * without replies gets a "Goodbye" that closes the box.
+ */
+export function createDialogueBox({ root, nameEl, textEl, list, onClose }) {
+  let isOpen = false;
+  let pickChoice = null;
+  let returnFocus = null;
+
+  function show(node) {
+    textEl.textContent = node.text;
+    list.textContent = '';
+    const choices = node.choices.length ? node.choices : [{ label: 'Goodbye', next: null }];
+    choices.forEach((choice, i) => {
+      const item = document.createElement('li');
+      const button = document.createElement('button');
+      button.className = 'dialogue-choice';
+      button.textContent = choice.label;
+      button.dataset.key = String(i + 1);
+      button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        pickChoice(choice);
+      });
+      item.appendChild(button);
+      list.appendChild(item);
+    });
+    list.querySelector('button')?.focus();
+  }
+
+  function open(name, node, onPick) {
+    if (!isOpen) returnFocus = document.activeElement;
+    isOpen = true;
+    pickChoice = onPick;
+    nameEl.textContent = name;
+    root.classList.remove('hidden');
+    show(node);
+  }
+
+  function close() {
+    if (!isOpen) return;
+    isOpen = false;
+    root.classList.add('hidden');
+    list.textContent = '';
+    returnFocus?.focus?.();
+    returnFocus = null;
+    onClose?.();
+  }
+
+  // Keys stay inside the box so the world's WASD handler never sees them:
+  // arrows move between replies, 1-9 pick one, Escape walks away
+  root.addEventListener('keydown', (e) => {
+    e.stopPropagation();
+    const buttons = [...list.querySelectorAll('button')];
+    const at = buttons.indexOf(document.activeElement);
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        buttons[(at + 1) % buttons.length]?.focus();
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        buttons[(at - 1 + buttons.length) % buttons.length]?.focus();
+        break;
+      case 'Escape':
+        e.preventDefault();
+        close();
+        break;
+      default:
+        if (/^[1-9]$/.test(e.key)) buttons.find((b) => b.dataset.key === e.key)?.click();
+    }
+  });
+
+  return {
+    open,
+    show,
+    close,
+    get isOpen() { return isOpen; },
+  };
+}
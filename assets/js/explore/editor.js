@@ -0,0 +1,488 @@
+/**
+ * editor.js — Map editor for the explore world (/explore/editor/)
+ *
+ * Paints room layouts with the game's own tile textures and checks them
+ * as you go: parseMapFile lists the problems and a findPath overlay marks
+ * tiles the player can't reach. Drafts import and export in the
+ * _data/explore_map.yml format, and "Play test" opens the draft in the
+ * game (see loadPlaytest in save.js).
+ */
+
+import { load, dump } from 'js-yaml';
+import { TILE, ROOMS, START_ROOM, buildWorld, findPath, inBounds, isWalkable } from './map.js';
+import { DEFAULT_LEGEND, legendTile, parseMapFile } from './mapfile.js';
+import { createTileTextures, tileTextureKey } from './tiles.js';
+import { savePlaytest } from './save.js';
+import { createThemeRegistry } from './theme.js';
+
+const PIXI = window.PIXI;
+
+/* ============================================
+   Constants
+   ============================================ */
+
+const TILE_SIZE = 16;               // Sprite pixel size
+const SCALE = 2;                    // 32px per tile on screen
+const MIN_SIZE = 3;                 // smallest room, in tiles
+const MAX_SIZE = 64;                // largest room, in tiles
+const UNREACHABLE_COLOR = 0xff3b30;
+const UNREACHABLE_ALPHA = 0.45;
+
+// Characters handed out to doors and signposts on export
+const LEGEND_CHARS = 'abcdefghijklmnopqrstuvwxyz0123456789';
+
+// Only one of each per room; painting one moves it
+const UNIQUE_BRUSHES = ['spawn', 'exit', 'about'];
+
+const BRUSH_NAMES = {
+  grass: 'Grass',
+  path: 'Path',
+  deco: 'Obstacle',
+  spawn: 'Spawn',
+  exit: 'Exit',
+  about: 'About',
+  post: 'Post slot',
+  project: 'Project slot',
+  tab: 'Guitar tab slot',
+};
+
+/* ============================================
+   DOM References
+   ============================================ */
+
+const roomSelect    = document.getElementById('editor-room');
+const colsInput     = document.getElementById('editor-cols');
+const rowsInput     = document.getElementById('editor-rows');
+const resizeButton  = document.getElementById('editor-resize');
+const resetButton   = document.getElementById('editor-reset');
+const importInput   = document.getElementById('editor-import');
+const exportButton  = document.getElementById('editor-export');
+const playtestLink  = document.getElementById('editor-playtest');
+const paletteEl     = document.getElementById('editor-palette');
+const stageEl       = document.getElementById('editor-stage');
+const hoverEl       = document.getElementById('editor-hover');
+const problemsEl    = document.getElementById('editor-problems');
+
+/* ============================================
+   Drafts
+   ============================================ */
+
+// A draft room is { cells, slots, custom }: cells holds a legend value
+// ("grass", "door:study", ...) per tile, slots the pinned content from
+// the map file, and custom is false while the room is still generated.
+
+const SIMPLE_TILES = {
+  [TILE.GRASS]: 'grass',
+  [TILE.PATH]: 'path',
+  [TILE.DECO]: 'deco',
+  [TILE.SPAWN]: 'spawn',
+  [TILE.EXIT]: 'exit',
+  [TILE.ABOUT]: 'about',
+};
+
+// Cells of a room from buildWorld
+function cellsFromRoom(room) {
+  return room.grid.map((tiles, r) => tiles.map((tileType, c) => {
+    if (SIMPLE_TILES[tileType]) return SIMPLE_TILES[tileType];
+    const content = room.contentMap.get(`${c},${r}`);
+    if (!content) return 'path';
+    if (content.type === 'door') return `door:${content.room}`;
+    if (content.type === 'sign') return `sign:${content.title}`;
+    return content.type;   // post, project or tab
+  }));
+}
+
+// Cells of a map file room. Unknown characters become grass so a broken
+// file can still be opened and fixed.
+function cellsFromSpec(spec) {
+  const legend = { ...DEFAULT_LEGEND, ...spec.legend };
+  const lines = String(spec.tiles || '').replace(/\s+$/, '').split('\n');
+  const cols = Math.max(MIN_SIZE, ...lines.map((line) => line.length));
+  const cells = lines.map((line) => Array.from({ length: cols }, (_, c) => {
+    const value = legend[line[c]];
+    return value && legendTile(value) !== null ? String(value) : 'grass';
+  }));
+
+  (spec.decorations || []).forEach((layer) => {
+    String(layer).replace(/\s+$/, '').split('\n').forEach((line, r) => {
+      [...line].forEach((ch, c) => {
+        if (ch !== '.' && ch !== ' ' && inBounds(cells, c, r)) cells[r][c] = 'deco';
+      });
+    });
+  });
+  return cells;
+}
+
+// Map file entry for a draft: the default legend plus a character for
+// each door and signpost in use
+function specFromDraft(draft) {
+  const chars = Object.fromEntries(Object.entries(DEFAULT_LEGEND).map(([ch, value]) => [value, ch]));
+  const free = [...LEGEND_CHARS].filter((ch) => !(ch in DEFAULT_LEGEND));
+  const legend = {};
+
+  const tiles = draft.cells.map((row) => row.map((value) => {
+    if (!chars[value]) {
+      chars[value] = free.shift();
+      legend[chars[value]] = value;
+    }
+    return chars[value];
+  }).join('')).join('\n');
+
+  const spec = {};
+  if (Object.keys(legend).length) spec.legend = legend;
+  spec.tiles = `${tiles}\n`;
+  if (Object.keys(draft.slots).length) spec.slots = draft.slots;
+  return spec;
+}
+
+function tileGrid(cells) {
+  return cells.map((row) => row.map((value) => legendTile(value) ?? TILE.GRASS));
+}
+
+/* ============================================
+   Reachability
+   ============================================ */
+
+// Where the player enters: the spawn, else the door from the hall
+function entryPoint(cells) {
+  let door = null;
+  for (let r = 0; r < cells.length; r++) {
+    for (let c = 0; c < cells[r].length; c++) {
+      if (cells[r][c] === 'spawn') return { col: c, row: r };
+      if (!door && cells[r][c] === `door:${START_ROOM}`) door = { col: c, row: r };
+    }
+  }
+  return door;
+}
+
+/**
+ * Returns the "col,row" keys of tiles the player can't get to from the
+ * entry point, obstacles aside. Every tile on a found path is reachable
+ * too, so most tiles need no search of their own.
+ */
+function unreachableTiles(cells) {
+  const grid = tileGrid(cells);
+  const entry = entryPoint(cells);
+  const unreachable = new Set();
+  if (!entry) return unreachable;
+
+  const reached = new Set([`${entry.col},${entry.row}`]);
+  grid.forEach((tiles, r) => tiles.forEach((tileType, c) => {
+    const key = `${c},${r}`;
+    if (tileType === TILE.DECO || reached.has(key)) return;
+
+    // findPath returns [] for an obstacle the entry already stands next to
+    const besideEntry = Math.abs(c - entry.col) + Math.abs(r - entry.row) === 1;
+    if (!isWalkable(tileType) && besideEntry) return;
+
+    const path = findPath(grid, entry.col, entry.row, c, r);
+    if (path.length === 0) {
+      unreachable.add(key);
+      return;
+    }
+    path.forEach((step) => reached.add(`${step.col},${step.row}`));
+  }));
+  return unreachable;
+}
+
+/* ============================================
+   Files
+   ============================================ */
+
+function download(filename, text) {
+  const url = URL.createObjectURL(new Blob([text], { type: 'text/yaml' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+/* ============================================
+   Main Init
+   ============================================ */
+
+function init() {
+  const exploreData = window.EXPLORE_DATA;
+  const theme = createThemeRegistry(exploreData.themes).get(window.EXPLORE_THEME);
+  const palette = theme.palette;
+  if (theme.themeClass) document.body.classList.add(theme.themeClass);
+
+  // --- Drafts: the site's map file where it has a room, else generated ---
+  const generated = buildWorld(exploreData).rooms;
+  const mapRooms = (exploreData.map && exploreData.map.rooms) || {};
+  const drafts = new Map();
+
+  function resetDraft(id) {
+    drafts.set(id, { cells: cellsFromRoom(generated.get(id)), slots: {}, custom: false });
+  }
+
+  function loadDraft(id, spec) {
+    drafts.set(id, { cells: cellsFromSpec(spec || {}), slots: (spec && spec.slots) || {}, custom: true });
+  }
+
+  for (const id of generated.keys()) {
+    if (mapRooms[id]) loadDraft(id, mapRooms[id]);
+    else resetDraft(id);
+  }
+
+  // Only rooms that differ from the generated ones go in the file
+  function draftMapFile() {
+    const rooms = {};
+    for (const [id, draft] of drafts) {
+      if (draft.custom) rooms[id] = specFromDraft(draft);
+    }
+    return { rooms };
+  }
+
+  let roomId = START_ROOM;
+  const draft = () => drafts.get(roomId);
+
+  // --- Pixi ---
+  const textures = createTileTextures(palette);
+  const app = new PIXI.Application({
+    width: TILE_SIZE * SCALE,
+    height: TILE_SIZE * SCALE,
+    backgroundColor: PIXI.utils.string2hex(palette.bg),
+    antialias: false,
+    resolution: Math.min(window.devicePixelRatio, 2),
+    autoDensity: true,
+  });
+  const canvas = app.view;
+  canvas.style.imageRendering = 'pixelated';
+  stageEl.appendChild(canvas);
+
+  const world = new PIXI.Container();
+  world.scale.set(SCALE);
+  app.stage.addChild(world);
+  const tileLayer = new PIXI.Container();
+  const overlay = new PIXI.Graphics();
+  const cursor = new PIXI.Graphics();
+  world.addChild(tileLayer, overlay, cursor);
+
+  let sprites = [];
+
+  function textureFor(value) {
+    return textures[tileTextureKey(legendTile(value) ?? TILE.GRASS)];
+  }
+
+  function renderRoom() {
+    const { cells } = draft();
+    tileLayer.removeChildren().forEach((child) => child.destroy());
+    sprites = cells.map((row, r) => row.map((value, c) => {
+      const sprite = new PIXI.Sprite(textureFor(value));
+      sprite.x = c * TILE_SIZE;
+      sprite.y = r * TILE_SIZE;
+      tileLayer.addChild(sprite);
+      return sprite;
+    }));
+    app.renderer.resize(cells[0].length * TILE_SIZE * SCALE, cells.length * TILE_SIZE * SCALE);
+    colsInput.value = cells[0].length;
+    rowsInput.value = cells.length;
+    renderPalette();
+    scheduleCheck();
+  }
+
+  // --- Checks, at most once a frame while painting ---
+  let checkPending = false;
+
+  function scheduleCheck() {
+    if (checkPending) return;
+    checkPending = true;
+    requestAnimationFrame(() => {
+      checkPending = false;
+      checkRoom();
+    });
+  }
+
+  function checkRoom() {
+    const { cells } = draft();
+    const unreachable = unreachableTiles(cells);
+    overlay.clear();
+    overlay.beginFill(UNREACHABLE_COLOR, UNREACHABLE_ALPHA);
+    for (const key of unreachable) {
+      const [c, r] = key.split(',').map(Number);
+      overlay.drawRect(c * TILE_SIZE, r * TILE_SIZE, TILE_SIZE, TILE_SIZE);
+    }
+    overlay.endFill();
+
+    const prefix = `rooms.${roomId}: `;
+    const { errors } = parseMapFile({ rooms: { [roomId]: specFromDraft(draft()) } }, exploreData);
+    const problems = errors.map((msg) => msg.replace(prefix, ''));
+    if (unreachable.size) problems.push(`${unreachable.size} tiles can't be reached (shown in red)`);
+
+    if (problems.length) showProblems(problems);
+    else showProblems(['No problems. The game will use this layout.'], true);
+  }
+
+  function showProblems(lines, ok = false) {
+    problemsEl.textContent = '';
+    for (const text of lines) {
+      const item = document.createElement('li');
+      item.textContent = text;
+      problemsEl.appendChild(item);
+    }
+    problemsEl.classList.toggle('editor-problems-ok', ok);
+  }
+
+  // --- Palette ---
+  let brush = 'path';
+
+  function brushesFor(id) {
+    const room = ROOMS.find((r) => r.id === id);
+    return [
+      'grass', 'path', 'deco', 'spawn', 'exit', 'about',
+      ...room.content,
+      ...[...generated.keys()].filter((other) => other !== id).map((other) => `door:${other}`),
+      ...(exploreData.tags || []).map((tag) => `sign:${tag.name}`),
+    ];
+  }
+
+  function brushName(value) {
+    const [kind, arg] = value.split(':');
+    if (kind === 'door') return `Door to ${generated.get(arg)?.name || arg}`;
+    if (kind === 'sign') return `Signpost: ${arg}`;
+    return BRUSH_NAMES[kind] || value;
+  }
+
+  function renderPalette() {
+    paletteEl.textContent = '';
+    const brushes = brushesFor(roomId);
+    if (!brushes.includes(brush)) brush = 'path';
+    for (const value of brushes) {
+      const button = document.createElement('button');
+      button.className = 'editor-brush';
+      button.setAttribute('aria-pressed', String(value === brush));
+      const swatch = document.createElement('img');
+      swatch.className = 'editor-swatch';
+      swatch.alt = '';
+      swatch.src = textureFor(value).baseTexture.resource?.source?.toDataURL?.() || '';
+      button.append(swatch, brushName(value));
+      button.addEventListener('click', () => {
+        brush = value;
+        renderPalette();
+      });
+      paletteEl.appendChild(button);
+    }
+  }
+
+  // --- Painting ---
+  function paint(col, row) {
+    const current = draft();
+    if (!inBounds(current.cells, col, row) || current.cells[row][col] === brush) return;
+    if (UNIQUE_BRUSHES.includes(brush)) {
+      current.cells.forEach((cells, r) => cells.forEach((value, c) => {
+        if (value !== brush) return;
+        cells[c] = 'path';
+        sprites[r][c].texture = textureFor('path');
+      }));
+    }
+    current.cells[row][col] = brush;
+    current.custom = true;
+    sprites[row][col].texture = textureFor(brush);
+    scheduleCheck();
+  }
+
+  function canvasTile(e) {
+    const rect = canvas.getBoundingClientRect();
+    return {
+      col: Math.floor((e.clientX - rect.left) / (TILE_SIZE * SCALE)),
+      row: Math.floor((e.clientY - rect.top) / (TILE_SIZE * SCALE)),
+    };
+  }
+
+  let painting = false;
+
+  canvas.addEventListener('pointerdown', (e) => {
+    painting = true;
+    canvas.setPointerCapture?.(e.pointerId);
+    const { col, row } = canvasTile(e);
+    paint(col, row);
+  });
+
+  canvas.addEventListener('pointermove', (e) => {
+    const { col, row } = canvasTile(e);
+    const { cells } = draft();
+    cursor.clear();
+    if (!inBounds(cells, col, row)) return;
+    cursor.lineStyle(1, 0xffffff, 0.9);
+    cursor.drawRect(col * TILE_SIZE + 0.5, row * TILE_SIZE + 0.5, TILE_SIZE - 1, TILE_SIZE - 1);
+    hoverEl.textContent = `${col}, ${row} · ${brushName(cells[row][col])}`;
+    if (painting) paint(col, row);
+  });
+
+  const stopPainting = () => { painting = false; };
+  canvas.addEventListener('pointerup', stopPainting);
+  canvas.addEventListener('pointercancel', stopPainting);
+  canvas.addEventListener('pointerleave', () => {
+    cursor.clear();
+    hoverEl.textContent = '';
+  });
+
+  // --- Toolbar ---
+  for (const [id, room] of generated) {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = room.name;
+    roomSelect.appendChild(option);
+  }
+  roomSelect.value = roomId;
+  roomSelect.addEventListener('change', () => {
+    roomId = roomSelect.value;
+    renderRoom();
+  });
+
+  // Keeps the top-left corner; new tiles are grass
+  resizeButton.addEventListener('click', () => {
+    const clamp = (n) => Math.min(MAX_SIZE, Math.max(MIN_SIZE, Math.round(Number(n)) || MIN_SIZE));
+    const cols = clamp(colsInput.value);
+    const rows = clamp(rowsInput.value);
+    const current = draft();
+    current.cells = Array.from({ length: rows }, (_, r) => Array.from({ length: cols },
+      (_, c) => (inBounds(current.cells, c, r) ? current.cells[r][c] : 'grass')));
+    current.custom = true;
+    renderRoom();
+  });
+
+  resetButton.addEventListener('click', () => {
+    resetDraft(roomId);
+    renderRoom();
+  });
+
+  importInput.addEventListener('change', async () => {
+    const file = importInput.files[0];
+    importInput.value = '';
+    if (!file) return;
+    let mapFile;
+    try {
+      mapFile = load(await file.text());
+    } catch (err) {
+      showProblems([`Couldn't read ${file.name}: ${err.message}`]);
+      return;
+    }
+    for (const [id, spec] of Object.entries((mapFile && mapFile.rooms) || {})) {
+      if (drafts.has(id)) loadDraft(id, spec);
+    }
+    renderRoom();
+  });
+
+  exportButton.addEventListener('click', () => {
+    const header = '# Room layouts for /explore, made with /explore/editor/.\n';
+    download('explore_map.yml', header + dump(draftMapFile(), { lineWidth: -1 }));
+  });
+
+  // The link opens the game in a new tab once the draft is handed over
+  playtestLink.addEventListener('click', () => savePlaytest(draftMapFile()));
+
+  renderRoom();
+}
+
+/* ============================================
+   Start
+   ============================================ */
+
+try {
+  init();
+} catch (err) {
+  console.error('[explore] Editor failed:', err);
+}
@@ -1,12 +1,34 @@
 /**
  * game.js — Entry point for the Grid Explore experience
  *
- * Sets up Pixi.js app, renders tile grid, handles click-to-move
- * with smooth walking, and manages the content panel overlay.
+ * Sets up Pixi.js app, renders the current room through a scrolling
+ * camera (or the optional 3D view), handles click/tap-to-move with smooth
+ * walking, moves the player between rooms through doors, puts the NPCs
+ * in their rooms, runs the guided tour, and manages the content panel
+ * overlay.
  */
 
-import { COLS, ROWS, TILE, buildGameGrid, findSpawn, findPath, isWalkable } from './map.js';
-import { PALETTES, createTileTextures, createCharacterTextures, tileTextureKey } from './tiles.js';
+import { TILE, buildWorld, inBounds, isWalkable } from './map.js';
+import { parseMapFile } from './mapfile.js';
+import { createTileTextures, createCharacterTextures, createTileAnimation, tileTextureKey } from './tiles.js';
+import { createTilemap } from './tilemap.js';
+import { ZOOM_STEP, createCamera } from './camera.js';
+import { createRenderer3D } from './renderer3d.js';
+import { createA11yLayer, describeContent } from './a11y.js';
+import { createMotionSetting } from './motion.js';
+import { addPinchZoom, createDpad } from './touch.js';
+import { loadState, saveState, clearState, loadPlaytest } from './save.js';
+import { cardHTML, tagColors } from './card.js';
+import { buildSearchIndex, createSearchPalette } from './search.js';
+import { createMinimap } from './minimap.js';
+import { createAvatarPicker, loadAvatar } from './avatar.js';
+import { createThemeRegistry, createThemeSetting } from './theme.js';
+import { createNpcLayer, dialogueNode, parseNpcFile } from './npc.js';
+import { createDialogueBox } from './dialogue.js';
+import { createTourGuide, parseTourFile } from './tour.js';
+import { createGameCore, isOpenable, isUsable } from './core.js';
+import { afterPageScripts, createExploreApi } from './api.js';
+import { besideTile, formatHash, parseHash } from './deeplink.js';
 
 const PIXI = window.PIXI;
 
@@ -17,7 +39,15 @@ const PIXI = window.PIXI;
 const TILE_SIZE = 16;          // Sprite pixel size
 const SCALE = 4;               // Render scale (16 * 4 = 64px per tile on screen)
 const WALK_SPEED = 150;        // ms per tile
-const ANIM_FRAME_RATE = 250;   // ms per walk frame toggle
+const DIAGONAL_MOVES = true;   // click-to-move may step diagonally
+const ANIM_FRAME_RATE = 150;   // ms per walk frame
+const IDLE_FRAME_RATE = 600;   // ms per idle (breathing) frame
+const DISTRICT_TINT = 0.22;    // alpha of the district color wash
+const ROOM_FADE_MS = 300;      // fade out/in time when changing rooms
+const SPARKLE_PERIOD = 1200;   // ms per twinkle of the "new" marker
+const PANEL_FADE_MS = 350;     // content panel slide-out time
+const LOADING_FADE_MS = 500;   // loading screen fade-out time
+const LINK_COPIED_MS = 2000;   // how long "Link copied" shows
 
 /* ============================================
    DOM References
@@ -28,66 +58,138 @@ const progressBar     = document.getElementById('loading-progress-bar');
 const loadingText     = document.querySelector('.loading-text');
 const startPrompt     = document.getElementById('start-prompt');
 const startButton     = document.getElementById('start-button');
+const startOver       = document.getElementById('start-over');
+const startTour       = document.getElementById('start-tour');
 const startTitle      = document.querySelector('.start-prompt-title');
+const avatarPicker    = document.getElementById('avatar-picker');
 const hud             = document.getElementById('hud');
 const hudLabel        = document.getElementById('hud-label');
+const hudRoom         = document.getElementById('hud-room');
+const hudProgress     = document.getElementById('hud-progress');
+const roomFade        = document.getElementById('room-fade');
+const hudView         = document.getElementById('hud-view');
+const hudMotion       = document.getElementById('hud-motion');
+const hudDpad         = document.getElementById('hud-dpad');
+const hudSearch       = document.getElementById('hud-search');
+const hudMap          = document.getElementById('hud-map');
+const hudTheme        = document.getElementById('hud-theme');
+const hudLink         = document.getElementById('hud-link');
+const minimapEl       = document.getElementById('minimap');
+const minimapCanvas   = document.getElementById('minimap-canvas');
+const searchRoot      = document.getElementById('search');
+const searchInput     = document.getElementById('search-input');
+const searchResults   = document.getElementById('search-results');
+const searchFast      = document.getElementById('search-fast');
+const dpadEl          = document.getElementById('dpad');
+const exploreGrid     = document.getElementById('explore-grid');
+const exploreLive     = document.getElementById('explore-live');
 const contentPanel    = document.getElementById('content-panel');
 const contentBackdrop = document.getElementById('content-panel-backdrop');
 const contentIframe   = document.getElementById('content-panel-iframe');
 const contentFullpage = document.getElementById('content-panel-fullpage');
 const contentClose    = document.getElementById('content-panel-close');
-const mobileNotice    = document.getElementById('mobile-notice');
+const dialogueRoot    = document.getElementById('dialogue');
+const dialogueName    = document.getElementById('dialogue-name');
+const dialogueText    = document.getElementById('dialogue-text');
+const dialogueChoices = document.getElementById('dialogue-choices');
+const tourRoot        = document.getElementById('tour');
+const tourStep        = document.getElementById('tour-step');
+const tourCaption     = document.getElementById('tour-caption');
+const tourNext        = document.getElementById('tour-next');
+const tourPause       = document.getElementById('tour-pause');
+const tourEnd         = document.getElementById('tour-end');
 
 /* ============================================
    Helpers
    ============================================ */
 
-function isMobile() {
-  return /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(
-    navigator.userAgent
-  ) || window.innerWidth < 768 || window.innerHeight < 500;
+// Phones and tablets: no mouse, so the D-pad starts out visible
+function isTouchDevice() {
+  return Boolean(window.matchMedia?.('(pointer: coarse)').matches);
 }
 
 function setProgress(pct) {
   if (progressBar) progressBar.style.width = `${pct}%`;
 }
 
+// Swaps whatever theme class is on the page for themeClass (dark has none)
 function applyThemeClass(themeClass) {
-  if (!themeClass) return;
-  [document.body, loadingScreen, startPrompt, hud, mobileNotice].forEach((el) => {
-    el?.classList.add(themeClass);
+  const classes = themes.names.map((name) => themes.get(name).themeClass).filter(Boolean);
+  [document.body, loadingScreen, startPrompt, hud].forEach((el) => {
+    el?.classList.remove(...classes);
+    if (themeClass) el?.classList.add(themeClass);
   });
 }
 
-const ESC_MAP = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
-function escapeHTML(str) {
-  return String(str).replace(/[&<>"']/g, (ch) => ESC_MAP[ch]);
+/* ============================================
+   Reduced Motion
+   ============================================ */
+
+// With reduced motion the character jumps to its destination, fades and
+// slides are instant, and the camera cuts instead of panning.
+const motion = createMotionSetting();
+
+function applyMotion() {
+  document.body.classList.toggle('reduce-motion', motion.reduced);
+  hudMotion?.setAttribute('aria-pressed', String(motion.reduced));
 }
 
+// Duration of a CSS transition, or 0 when motion is reduced
+function fadeTime(ms) {
+  return motion.reduced ? 0 : ms;
+}
+
+motion.onChange(applyMotion);
+applyMotion();
+
+hudMotion?.addEventListener('click', (e) => {
+  e.stopPropagation();
+  motion.toggle();
+});
+
 /* ============================================
-   Theme Config
+   Themes
    ============================================ */
 
-const THEME_CONFIG = {
-  beige: { loadingMsg: 'Setting up the caf\u00e9...', welcome: 'Welcome to the Caf\u00e9', themeClass: 'theme-beige' },
-  dark:  { loadingMsg: 'Jacking into the grid...',     welcome: 'Welcome to the Grid',     themeClass: null },
-  light: { loadingMsg: 'Ascending to the clouds...',   welcome: 'Welcome to the Clouds',   themeClass: 'theme-light' },
-};
+// Built-in themes plus _data/explore_themes.yml, with seasonal variants
+// standing in for their base theme while in season
+const themes = createThemeRegistry(window.EXPLORE_DATA.themes);
+themes.errors.forEach((msg) => console.warn(`[explore] explore_themes.yml ${msg}`));
+
+/* ============================================
+   Public API
+   ============================================ */
+
+// window.Explore is there from now on, so scripts loaded after this one
+// can register tile types and listen before the world is built
+const explore = createExploreApi();
+window.Explore = explore.api;
 
 /* ============================================
    Content Panel
    ============================================ */
 
-let panelOpen = false;
+// The core says what the panel shows; these only slide it in and out
+let panelReturnFocus = null;   // element to refocus when the panel closes
+
+// Replacing the iframe's page (rather than setting src) keeps it out of
+// the browser history, so Back stays with the world
+function loadPanelPage(url) {
+  if (contentIframe.contentWindow) contentIframe.contentWindow.location.replace(url);
+  else contentIframe.src = url;
+}
 
 function openContentPanel(url) {
   if (!contentPanel || !contentIframe) return;
-  contentIframe.src = url;
+  panelReturnFocus = document.activeElement;
+  loadPanelPage(url);
   if (contentFullpage) contentFullpage.href = url;
   contentBackdrop?.classList.remove('hidden');
   contentPanel.classList.remove('hidden');
-  requestAnimationFrame(() => contentPanel.classList.add('visible'));
-  panelOpen = true;
+  requestAnimationFrame(() => {
+    contentPanel.classList.add('visible');
+    contentClose?.focus();
+  });
 }
 
 function closeContentPanel() {
@@ -96,30 +198,53 @@ function closeContentPanel() {
   setTimeout(() => {
     contentBackdrop?.classList.add('hidden');
     contentPanel.classList.add('hidden');
-    if (contentIframe) contentIframe.src = '';
-  }, 350);
-  panelOpen = false;
+    if (contentIframe) loadPanelPage('about:blank');
+  }, fadeTime(PANEL_FADE_MS));
+  panelReturnFocus?.focus?.();
+  panelReturnFocus = null;
 }
 
-contentClose?.addEventListener('click', (e) => { e.stopPropagation(); closeContentPanel(); });
-contentBackdrop?.addEventListener('click', closeContentPanel);
-document.addEventListener('keydown', (e) => {
-  if (e.code === 'Escape' && panelOpen) { e.preventDefault(); closeContentPanel(); }
+// Keep Tab inside the open panel
+contentPanel?.addEventListener('keydown', (e) => {
+  if (e.key !== 'Tab') return;
+  const focusable = [contentFullpage, contentClose, contentIframe].filter(Boolean);
+  const first = focusable[0];
+  const last = focusable[focusable.length - 1];
+  if (e.shiftKey && document.activeElement === first) {
+    e.preventDefault();
+    last.focus();
+  } else if (!e.shiftKey && document.activeElement === last) {
+    e.preventDefault();
+    first.focus();
+  }
 });
 
 /* ============================================
    HUD Label
    ============================================ */
 
-function showLabel(data) {
+const TAG_COLORS = tagColors(window.EXPLORE_DATA?.tags);
+
+/**
+ * Shows the preview card for a contentMap entry. status is 'new',
+ * 'visited' or null; hint replaces the default "open" hint.
+ */
+function showLabel(data, { status = null, hint } = {}) {
   if (!hudLabel) return;
-  let html = `<div style="font-weight:600;font-size:1rem;">${escapeHTML(data.title)}</div>`;
-  if (data.meta) html += `<div style="opacity:0.7;font-size:0.8rem;margin-top:2px;">${escapeHTML(data.meta)}</div>`;
-  html += `<div style="opacity:0.5;font-size:0.7rem;margin-top:4px;">Press E or click to open</div>`;
-  hudLabel.innerHTML = html;
+  hudLabel.innerHTML = cardHTML(data, {
+    colors: TAG_COLORS,
+    status,
+    hint: hint ?? defaultHint(data),
+  });
   hudLabel.classList.remove('hidden');
 }
 
+function defaultHint(data) {
+  if (isOpenable(data)) return 'Press E or click to open';
+  if (isUsable(data)) return 'Press E or click to use';
+  return data.type === 'npc' ? 'Press E to talk' : null;
+}
+
 function hideLabel() {
   hudLabel?.classList.add('hidden');
 }
@@ -129,281 +254,1226 @@ function hideLabel() {
    ============================================ */
 
 async function init() {
-  const themeName = window.EXPLORE_THEME || 'beige';
-  const config = THEME_CONFIG[themeName] || THEME_CONFIG.beige;
-  const palette = PALETTES[themeName] || PALETTES.beige;
+  // Wait for the scripts after this one, so their tile types are in the world
+  await afterPageScripts();
+
+  // Shared with the blog's theme toggle, and switchable from the HUD
+  const theme = createThemeSetting(window.EXPLORE_THEME, themes.names);
+  let config = themes.get(theme.name);
+  let palette = config.palette;
 
   applyThemeClass(config.themeClass);
   if (loadingText) loadingText.textContent = config.loadingMsg;
-  setProgress(10);
+  setProgress(30);
 
-  if (isMobile()) {
-    loadingScreen?.classList.add('hidden');
-    mobileNotice?.classList.remove('hidden');
-    return;
+  // --- Build world ---
+  // Hand-made rooms from _data/explore_map.yml; broken ones stay generated.
+  // The editor's "Play test" opens /explore/?playtest with its draft instead
+  const playtest = new URLSearchParams(window.location.search).has('playtest');
+  const mapSource = playtest ? loadPlaytest() : window.EXPLORE_DATA.map;
+  const mapFile = parseMapFile(mapSource, window.EXPLORE_DATA);
+  mapFile.errors.forEach((msg) => console.warn(`[explore] ${playtest ? 'draft' : 'explore_map.yml'} ${msg}`));
+  const { start, rooms } = buildWorld(window.EXPLORE_DATA, { layouts: mapFile.layouts });
+
+  // NPCs from _data/explore_npcs.yml; broken ones stay out of the world
+  const npcFile = parseNpcFile(window.EXPLORE_DATA.npcs, rooms);
+  npcFile.errors.forEach((msg) => console.warn(`[explore] explore_npcs.yml ${msg}`));
+
+  // Returning visitors resume where they left off; play tests start fresh
+  const saved = playtest ? null : loadState(rooms);
+  const resume = saved?.position || null;
+  const opened = saved?.opened || new Set();   // URLs of content opened so far
+  let savedTour = saved?.tour ?? null;         // stop an unfinished tour resumes at
+  const lastVisit = saved?.lastVisit || 0;
+
+  // A link to a place (#post=..., #at=5,4) starts there instead
+  const linked = playtest ? null : linkedPlace(parseHash(window.location.hash));
+  if (window.location.hash && !playtest && !linked) {
+    console.warn(`[explore] Nothing to show for the link ${window.location.hash}`);
   }
 
-  setProgress(30);
+  // Everything that can be opened, across all rooms, for the progress count
+  const discoverable = new Set([...rooms.values()]
+    .flatMap((r) => [...r.contentMap.values()])
+    .filter(isOpenable)
+    .map((content) => content.url));
+
+  // Posts published since the last visit that haven't been opened yet
+  function isNew(content) {
+    return Boolean(lastVisit && content?.type === 'post' && !opened.has(content.url)
+      && Date.parse(content.meta) > lastVisit);
+  }
+
+  // NPCs go in the world with the character, under the tree tops. The
+  // core asks them which tiles are taken, so they come first
+  const npcLayer = createNpcLayer({ palette, tileSize: TILE_SIZE });
+
+  // --- Game state ---
+  // Where the character is, its walk, opened content and the panel live
+  // in the core; everything on screen follows its events
+  const core = createGameCore({
+    rooms,
+    start,
+    position: linked?.position || resume,
+    opened,
+    walkSpeed: WALK_SPEED,
+    diagonal: DIAGONAL_MOVES,
+    blocked: (col, row) => Boolean(npcLayer.npcAt(col, row)),
+    instant: () => motion.reduced,
+  });
 
-  // --- Build game grid ---
-  const { grid, contentMap } = buildGameGrid(window.EXPLORE_DATA);
-  const spawn = findSpawn(grid);
+  let room = core.room;
+  let grid = room.grid;
+  let contentMap = room.contentMap;
 
   setProgress(50);
 
   // --- Create textures ---
-  const tileTextures = createTileTextures(palette);
-  const charFrames = createCharacterTextures(palette);
+  let tileTextures = createTileTextures(palette);
+  let charFrames = createCharacterTextures(palette, loadAvatar());
+
+  // Swaps in character frames for avatar and frees the old ones
+  function setCharFrames(avatar) {
+    const old = charFrames;
+    charFrames = createCharacterTextures(palette, avatar);
+    Object.values(old).forEach(({ walk, idle }) => [...walk, ...idle].forEach((t) => t.destroy(true)));
+  }
 
   setProgress(70);
 
   // --- Pixi Application ---
-  const gameWidth = COLS * TILE_SIZE * SCALE;
-  const gameHeight = ROWS * TILE_SIZE * SCALE;
-
   const app = new PIXI.Application({
-    width: gameWidth,
-    height: gameHeight,
+    width: window.innerWidth,
+    height: window.innerHeight,
     backgroundColor: PIXI.utils.string2hex(palette.bg),
     antialias: false,
     resolution: Math.min(window.devicePixelRatio, 2),
     autoDensity: true,
   });
 
-  // Style the canvas to center and fit
+  // Full-window canvas; the camera decides what part of the map shows
   const canvas = app.view;
   canvas.style.position = 'fixed';
+  canvas.style.left = '0';
+  canvas.style.top = '0';
   canvas.style.imageRendering = 'pixelated';
   canvas.style.imageRendering = 'crisp-edges';
+  canvas.setAttribute('aria-hidden', 'true');   // mirrored by the ARIA grid
   document.body.appendChild(canvas);
 
+  // 3D renderer, created the first time the player switches to it
+  let view3d = null;
+  let use3d = false;
+
+  // --- Camera ---
+  const camera = createCamera({
+    worldWidth: grid[0].length * TILE_SIZE,
+    worldHeight: grid.length * TILE_SIZE,
+    baseScale: SCALE,
+  });
+
   function resizeCanvas() {
-    const maxW = window.innerWidth;
-    const maxH = window.innerHeight;
-    const scaleX = maxW / gameWidth;
-    const scaleY = maxH / gameHeight;
-    const s = Math.min(scaleX, scaleY, 1); // don't upscale beyond native
-    const w = Math.floor(gameWidth * s);
-    const h = Math.floor(gameHeight * s);
-    canvas.style.width = `${w}px`;
-    canvas.style.height = `${h}px`;
-    canvas.style.left = `${Math.floor((maxW - w) / 2)}px`;
-    canvas.style.top = `${Math.floor((maxH - h) / 2)}px`;
+    app.renderer.resize(window.innerWidth, window.innerHeight);
+    camera.resize(window.innerWidth, window.innerHeight);
+    view3d?.resize(window.innerWidth, window.innerHeight);
   }
   resizeCanvas();
   window.addEventListener('resize', resizeCanvas);
 
   setProgress(85);
 
-  // --- Render tile grid ---
-  const tileContainer = new PIXI.Container();
-  app.stage.addChild(tileContainer);
-
-  for (let r = 0; r < ROWS; r++) {
-    for (let c = 0; c < COLS; c++) {
-      const tileType = grid[r][c];
-      const key = tileTextureKey(tileType);
-      const sprite = new PIXI.Sprite(tileTextures[key]);
-      sprite.x = c * TILE_SIZE;
-      sprite.y = r * TILE_SIZE;
-      sprite.width = TILE_SIZE;
-      sprite.height = TILE_SIZE;
-      tileContainer.addChild(sprite);
+  // --- Render room ---
+  // Everything in the world lives in one container the camera moves.
+  // The tilemap and the room layer are rebuilt on every room change.
+  const world = new PIXI.Container();
+  app.stage.addChild(world);
+
+  let tileAnimation = createTileAnimation(config.decoration, palette);
+  const tilemap = createTilemap({
+    textures: tileTextures,
+    animation: tileAnimation,
+    tileSize: TILE_SIZE,
+  });
+  world.addChild(tilemap.below);
+
+  const roomLayer = new PIXI.Container();
+  world.addChild(roomLayer);
+
+  // Outlines on tiles matching the active search query
+  const searchLayer = new PIXI.Graphics();
+  world.addChild(searchLayer);
+  let searchMatches = [];
+
+  let culled = null;
+  let sparkleLayer = null;
+  const sparkles = new Map();   // "col,row" -> sparkle sprite
+
+  // Opened content gets the faded, checked variant of its object
+  function objectKey(col, row) {
+    const key = tileTextureKey(grid[row][col]);
+    const content = contentMap.get(`${col},${row}`);
+    if (isOpenable(content) && opened.has(content.url) && tileTextures.layers.objects[`${key}Visited`]) {
+      return `${key}Visited`;
     }
+    return key;
   }
 
-  tileContainer.scale.set(SCALE);
+  // NPCs of the current room who show in this theme (or its seasonal
+  // stand-in)
+  function roomNpcs() {
+    return npcFile.npcs.filter((npc) => npc.room === room.id
+      && (!npc.themes || npc.themes.includes(theme.name) || npc.themes.includes(config.name)));
+  }
+
+  // Wanderers keep off content, the spawn and the character's tiles
+  function npcCanEnter(col, row) {
+    if (contentMap.has(`${col},${row}`) || grid[row][col] === TILE.SPAWN) return false;
+    if (col === core.col && row === core.row) return false;
+    const next = core.stepTo;
+    return !(next && col === next.col && row === next.row);
+  }
+
+  function renderRoom() {
+    roomLayer.removeChildren().forEach((child) => child.destroy({ children: true }));
+    tilemap.setRoom(grid, objectKey);
+
+    // District tints
+    const districtLayer = new PIXI.Graphics();
+    for (const district of room.districts) {
+      if (!district.color) continue;
+      const color = PIXI.utils.string2hex(district.color);
+      for (const rect of district.rects) {
+        districtLayer.beginFill(color, DISTRICT_TINT);
+        districtLayer.drawRect(
+          rect.col * TILE_SIZE,
+          rect.row * TILE_SIZE,
+          rect.width * TILE_SIZE,
+          rect.height * TILE_SIZE
+        );
+        districtLayer.endFill();
+      }
+    }
+    roomLayer.addChild(districtLayer);
+
+    // "New" sparkles
+    sparkleLayer = new PIXI.Container();
+    sparkles.clear();
+    for (const [key, content] of contentMap) {
+      if (!isNew(content)) continue;
+      const [c, r] = key.split(',').map(Number);
+      const sparkle = new PIXI.Sprite(tileTextures.sparkle);
+      sparkle.x = c * TILE_SIZE;
+      sparkle.y = r * TILE_SIZE;
+      sparkle.width = TILE_SIZE;
+      sparkle.height = TILE_SIZE;
+      sparkleLayer.addChild(sparkle);
+      sparkles.set(key, sparkle);
+    }
+    roomLayer.addChild(sparkleLayer);
+    drawSearchMatches();
+
+    camera.setWorldSize(grid[0].length * TILE_SIZE, grid.length * TILE_SIZE);
+    culled = null;
+    view3d?.setRoom(room);
+    if (hudRoom) hudRoom.textContent = room.name;
+    a11y?.setRoom(room);
+    minimap?.setRoom(room);
+    minimapDrawn = null;
+  }
+
+  function drawSearchMatches() {
+    searchLayer.clear();
+    for (const match of searchMatches) {
+      if (match.room !== room.id) continue;
+      searchLayer.lineStyle(1, PIXI.utils.string2hex(palette.sparkle), 1, 0);
+      searchLayer.beginFill(PIXI.utils.string2hex(palette.sparkle), 0.25);
+      searchLayer.drawRect(match.col * TILE_SIZE, match.row * TILE_SIZE, TILE_SIZE, TILE_SIZE);
+      searchLayer.endFill();
+    }
+  }
+
+  // --- Accessible layer ---
+  // Focusing a tile in the ARIA grid walks the character there.
+  const a11y = exploreGrid && exploreLive
+    ? createA11yLayer({
+      gridEl: exploreGrid,
+      liveEl: exploreLive,
+      onFocusTile: (col, row) => {
+        showFocusRing(col, row);
+        if (col !== core.col || row !== core.row) onTileClick(col, row);
+      },
+      onBlurGrid: () => { focusRing.visible = false; },
+    })
+    : null;
+
+  // --- Minimap ---
+  // Clicking it walks to the tile, but never opens content on arrival.
+  const minimap = minimapCanvas
+    ? createMinimap(minimapCanvas, {
+      palette,
+      isVisited: (key) => {
+        const content = contentMap.get(key);
+        return isOpenable(content) && opened.has(content.url);
+      },
+      onPick: (col, row) => {
+        if (core.panel || dialogue?.isOpen || !gameStarted || transitioning) return;
+        if (!inBounds(grid, col, row)) return;
+        takeOver();
+        core.walkTo(col, row);
+      },
+    })
+    : null;
+  let minimapDrawn = null;   // room/tile/opened count of the last draw
+
+  // Legend swatches take their colors from the palette
+  function paintLegend() {
+    minimapEl?.querySelectorAll('[data-swatch]').forEach((swatch) => {
+      swatch.style.background = palette[swatch.dataset.swatch];
+    });
+  }
+  paintLegend();
+
+  renderRoom();
+  npcLayer.setRoom(roomNpcs(), grid, npcCanEnter);
+
+  // Only tiles inside the view are rendered
+  function cullTiles() {
+    const v = camera.visibleTiles(TILE_SIZE);
+    if (culled && v.c0 === culled.c0 && v.r0 === culled.r0
+        && v.c1 === culled.c1 && v.r1 === culled.r1) return;
+    culled = v;
+    tilemap.cull(v);
+  }
 
   // --- Character sprite ---
-  let charCol = spawn.col;
-  let charRow = spawn.row;
-  let charDir = 'down';
   let charAnimFrame = 0;
+  let animTimer = 0;
 
-  const charSprite = new PIXI.Sprite(charFrames.down[0]);
+  const charSprite = new PIXI.Sprite(charFrames[core.dir].idle[0]);
   charSprite.width = TILE_SIZE;
   charSprite.height = TILE_SIZE;
-  charSprite.x = charCol * TILE_SIZE;
-  charSprite.y = charRow * TILE_SIZE;
+  charSprite.x = core.col * TILE_SIZE;
+  charSprite.y = core.row * TILE_SIZE;
+
+  // Outline on the tile focused in the ARIA grid
+  const focusRing = new PIXI.Graphics();
+  function drawFocusRing() {
+    focusRing.clear();
+    focusRing.lineStyle(1, PIXI.utils.string2hex(palette.label), 1, 0);
+    focusRing.drawRect(0, 0, TILE_SIZE, TILE_SIZE);
+  }
+  drawFocusRing();
+  focusRing.visible = false;
+  world.addChild(focusRing);
+
+  function showFocusRing(col, row) {
+    focusRing.x = col * TILE_SIZE;
+    focusRing.y = row * TILE_SIZE;
+    focusRing.visible = true;
+  }
 
-  // Character container at same scale as tiles
   const charContainer = new PIXI.Container();
-  charContainer.scale.set(SCALE);
   charContainer.addChild(charSprite);
-  app.stage.addChild(charContainer);
-
-  // --- Walking state ---
-  let walkPath = [];
-  let isWalking = false;
-  let walkProgress = 0;
-  let walkFromCol = charCol;
-  let walkFromRow = charRow;
-  let walkToCol = charCol;
-  let walkToRow = charRow;
-  let animTimer = 0;
+  world.addChild(npcLayer.container, charContainer);
+  world.addChild(tilemap.above);   // tree tops hide the character
+  a11y?.setPosition(core.col, core.row);
+
+  camera.follow(charSprite.x + TILE_SIZE / 2, charSprite.y + TILE_SIZE / 2);
+  camera.snap();
+
+  // Moves the sprite, camera and ARIA grid straight to the character
+  function snapCharacter() {
+    charAnimFrame = 0;
+    charSprite.texture = idleFrame();
+    charSprite.x = core.col * TILE_SIZE;
+    charSprite.y = core.row * TILE_SIZE;
+    camera.follow(charSprite.x + TILE_SIZE / 2, charSprite.y + TILE_SIZE / 2);
+    camera.snap();
+    a11y?.setPosition(core.col, core.row);
+  }
 
-  function startWalkStep() {
-    if (walkPath.length === 0) {
-      isWalking = false;
-      charAnimFrame = 0;
-      charSprite.texture = charFrames[charDir][0];
-      // Check if we landed on a content tile
-      onArrival(charCol, charRow);
-      return;
+  // Breathing while standing still; held with reduced motion
+  function idleFrame() {
+    const { idle } = charFrames[core.dir];
+    return idle[motion.reduced ? 0 : Math.floor(performance.now() / IDLE_FRAME_RATE) % idle.length];
+  }
+
+  // Signposts are obstacles, so they are read from a neighboring tile
+  function adjacentSign(col, row) {
+    for (const [dc, dr] of [[0, -1], [0, 1], [-1, 0], [1, 0]]) {
+      const content = contentMap.get(`${col + dc},${row + dr}`);
+      if (content && content.type === 'sign') return content;
     }
+    return null;
+  }
 
-    const next = walkPath.shift();
-    walkFromCol = charCol;
-    walkFromRow = charRow;
-    walkToCol = next.col;
-    walkToRow = next.row;
-    walkProgress = 0;
-    isWalking = true;
+  // --- Preview cards ---
+  // The label shows the card of the tile the character stands on (or the
+  // signpost next to it); hovering another tile shows that tile's card
+  // until the mouse moves off it.
+  let standingCard = null;
+  let hoverKey = null;
+
+  function contentStatus(content) {
+    if (isNew(content)) return 'new';
+    if (isOpenable(content) && opened.has(content.url)) return 'visited';
+    return null;
+  }
+
+  function showStanding(content) {
+    standingCard = content;
+    if (!hoverKey) showLabel(content, { status: contentStatus(content) });
+  }
 
-    // Determine direction
-    const dc = walkToCol - walkFromCol;
-    const dr = walkToRow - walkFromRow;
-    if (dr < 0) charDir = 'up';
-    else if (dr > 0) charDir = 'down';
-    else if (dc < 0) charDir = 'left';
-    else if (dc > 0) charDir = 'right';
+  function clearStanding() {
+    standingCard = null;
+    if (!hoverKey) hideLabel();
   }
 
-  function onArrival(col, row) {
+  function onHoverTile(col, row) {
     const key = `${col},${row}`;
     const content = contentMap.get(key);
-    if (!content) {
-      hideLabel();
+    const here = col === core.col && row === core.row;
+    if (!gameStarted || core.panel || !content || here) {
+      endHover();
       return;
     }
+    if (key === hoverKey) return;
+    hoverKey = key;
+    showLabel(content, {
+      status: contentStatus(content),
+      hint: isWalkable(grid[row][col]) ? 'Click to walk here' : null,
+    });
+  }
+
+  function endHover() {
+    if (!hoverKey) return;
+    hoverKey = null;
+    if (standingCard) showLabel(standingCard, { status: contentStatus(standingCard) });
+    else hideLabel();
+  }
 
-    if (content.type === 'exit') {
-      window.location.href = content.url;
+  // Tells screen reader users where the character stopped
+  function announceArrival(col, row, content, sign, npc) {
+    if (!a11y) return;
+    let text = a11y.describeTile(col, row);
+    if (isNew(content)) text += ', new';
+    else if (isOpenable(content) && opened.has(content.url)) text += ', visited';
+    if (content?.description) text += `. ${content.description.replace(/[.!?]\s*$/, '')}`;
+    if (isOpenable(content)) text += '. Press Enter to open';
+    else if (isUsable(content)) text += '. Press Enter to use';
+    else if (!content && sign) text += `. ${describeContent(sign)}`;
+    else if (!content && npc) text += `. ${npc.name} is next to you. Press E to talk`;
+    a11y.announce(text);
+  }
+
+  // Where a walk or jump ended. Doors and the exit come as their own
+  // events after this one
+  core.on('arrive', ({ col, row, content, meet }) => {
+    a11y?.setPosition(col, row);
+    if (content?.type !== 'exit') persist();
+    if (tour?.mode === 'walking' && content?.url === tour.stop.url) tour.arrive();
+
+    // Clicked an NPC: the walk ends next to them, and they talk
+    if (meet && besideCharacter(meet)) {
+      startTalk(meet);
+      return;
+    }
+
+    if (!content) {
+      const sign = adjacentSign(col, row);
+      const npc = sign ? null : npcLayer.neighbor(col, row, core.dir);
+      if (sign) showStanding(sign);
+      else if (npc) showStanding({ type: 'npc', title: npc.name });
+      else clearStanding();
+      announceArrival(col, row, null, sign, npc);
       return;
     }
 
-    showLabel(content);
+    if (content.type === 'exit' || content.type === 'door') return;
+    showStanding(content);
+    announceArrival(col, row, content, null);
+  });
+
+  core.on('walk', clearStanding);
+  core.on('exit', ({ url }) => { window.location.href = url; });
+  core.on('door', ({ room: targetId }) => enterRoom(targetId));
+
+  // --- Saved state ---
+  function persist() {
+    if (playtest) return;
+    saveState({ room, col: core.col, row: core.row, dir: core.dir, opened, tour: tour?.mode ? tour.at : null });
+  }
+
+  // --- Content panel ---
+  core.on('open', ({ url, content }) => {
+    if (content) {
+      markOpened(content);
+      persist();
+    }
+    openContentPanel(url);
+  });
+  core.on('close', closeContentPanel);
+
+  contentClose?.addEventListener('click', (e) => { e.stopPropagation(); core.closePanel(); });
+  contentBackdrop?.addEventListener('click', () => core.closePanel());
+  document.addEventListener('keydown', (e) => {
+    if (e.code === 'Escape' && core.panel) { e.preventDefault(); core.closePanel(); }
+  });
+
+  // Swaps the tile to its visited look and drops its sparkle
+  function markOpened(content) {
+    for (const [key, entry] of contentMap) {
+      if (entry !== content) continue;
+      const [c, r] = key.split(',').map(Number);
+      tilemap.setObject(c, r, objectKey(c, r));
+      sparkles.get(key)?.destroy();
+      sparkles.delete(key);
+    }
+    if (standingCard === content) showStanding(content);
+    updateProgress();
+  }
+
+  function updateProgress() {
+    if (!hudProgress) return;
+    const found = [...discoverable].filter((url) => opened.has(url)).length;
+    hudProgress.textContent = `${found} / ${discoverable.size} discovered${playtest ? ' (play test)' : ''}`;
   }
+  updateProgress();
+
+  window.addEventListener('pagehide', () => {
+    if (gameStarted) persist();
+  });
+
+  // --- Rooms ---
+  let transitioning = false;
+
+  function showRoom(target) {
+    hoverKey = null;
+    room = target;
+    grid = room.grid;
+    contentMap = room.contentMap;
+    renderRoom();
+    npcLayer.setRoom(roomNpcs(), grid, npcCanEnter);
+  }
+
+  // Fades out, swaps in the target room, and places the character on the
+  // door that leads back to the room it came from.
+  // onEntered runs once the character stands in the new room
+  function enterRoom(targetId, onEntered) {
+    if (!rooms.has(targetId) || transitioning) return;
+
+    transitioning = true;
+    clearStanding();
+    roomFade?.classList.add('visible');
+
+    setTimeout(() => {
+      // Rooms without a door back (fast travel) use their hall door
+      core.enterRoom(targetId);
+      persist();
+      a11y?.announce(`Entered ${room.name}`);
+
+      roomFade?.classList.remove('visible');
+      transitioning = false;
+      // Travel goes on from the door; where it ends is the place to record
+      if (onEntered) onEntered();
+      else recordPlace();
+    }, fadeTime(ROOM_FADE_MS));
+  }
+
+  core.on('room', ({ room: target }) => {
+    showRoom(target);
+    snapCharacter();
+  });
 
   // --- Click handler ---
   let gameStarted = false;
 
-  canvas.addEventListener('click', (e) => {
-    if (panelOpen) return;
-    if (!gameStarted) return;
+  function onTileClick(clickCol, clickRow) {
+    if (core.panel || dialogue?.isOpen) return;
+    if (!gameStarted || transitioning) return;
+    if (!inBounds(grid, clickCol, clickRow)) return;
+    takeOver();
+
+    // Clicking an NPC talks to them, walking over first if needed
+    const npc = npcLayer.npcAt(clickCol, clickRow);
+    if (npc) {
+      if (besideCharacter(npc)) startTalk(npc);
+      else core.walkTo(clickCol, clickRow, { meet: npc });
+      return;
+    }
 
+    // Opens the content under the character, or walks to the tile
+    core.click(clickCol, clickRow);
+  }
+
+  // Tile under a pointer event on the pixel canvas
+  function canvasTile(e) {
     const rect = canvas.getBoundingClientRect();
-    const scaleRatio = gameWidth / rect.width;
-    const mx = (e.clientX - rect.left) * scaleRatio;
-    const my = (e.clientY - rect.top) * scaleRatio;
+    const pos = camera.screenToWorld(e.clientX - rect.left, e.clientY - rect.top);
+    return { col: Math.floor(pos.x / TILE_SIZE), row: Math.floor(pos.y / TILE_SIZE) };
+  }
 
-    const clickCol = Math.floor(mx / (TILE_SIZE * SCALE));
-    const clickRow = Math.floor(my / (TILE_SIZE * SCALE));
+  canvas.addEventListener('click', (e) => {
+    const tile = canvasTile(e);
+    onTileClick(tile.col, tile.row);
+  });
 
-    if (clickCol < 0 || clickCol >= COLS || clickRow < 0 || clickRow >= ROWS) return;
+  // Mouse hover previews (touch has no hover)
+  canvas.addEventListener('pointermove', (e) => {
+    if (e.pointerType !== 'mouse') return;
+    const tile = canvasTile(e);
+    onHoverTile(tile.col, tile.row);
+  });
+  canvas.addEventListener('pointerleave', endHover);
+
+  // --- Zoom (wheel and +/- keys) ---
+  // The 3D view reads camera.zoom too, so one zoom level serves both.
+  function onWheel(e) {
+    if (core.panel || !gameStarted) return;
+    e.preventDefault();
+    camera.zoomBy(e.deltaY < 0 ? ZOOM_STEP : 1 / ZOOM_STEP);
+  }
+  canvas.addEventListener('wheel', onWheel, { passive: false });
+
+  const pinchOptions = {
+    getZoom: () => camera.zoom,
+    setZoom: (z) => camera.setZoom(z),
+    enabled: () => gameStarted && !core.panel,
+  };
+  addPinchZoom(canvas, pinchOptions);
+
+  // --- 2D / 3D toggle ---
+  async function toggleView() {
+    if (!view3d) {
+      hudView.disabled = true;
+      hudView.textContent = 'Loading 3D\u2026';
+      try {
+        view3d = await createRenderer3D({ modelSet: config.modelSet, palette, districtTint: DISTRICT_TINT });
+      } catch (err) {
+        // Pixel view stays as the fallback
+        console.warn('[explore] 3D view unavailable:', err);
+        hudView.textContent = '3D unavailable';
+        return;
+      }
+      hudView.disabled = false;
+
+      const canvas3d = view3d.canvas;
+      canvas3d.classList.add('world-3d', 'hidden');
+      canvas3d.setAttribute('aria-hidden', 'true');
+      document.body.insertBefore(canvas3d, canvas.nextSibling);
+      canvas3d.addEventListener('click', (e) => {
+        const tile = view3d.pick(e.clientX, e.clientY);
+        if (tile) onTileClick(tile.col, tile.row);
+      });
+      canvas3d.addEventListener('pointermove', (e) => {
+        if (e.pointerType !== 'mouse') return;
+        const tile = view3d.pick(e.clientX, e.clientY);
+        if (tile) onHoverTile(tile.col, tile.row);
+        else endHover();
+      });
+      canvas3d.addEventListener('pointerleave', endHover);
+      canvas3d.addEventListener('wheel', onWheel, { passive: false });
+      addPinchZoom(canvas3d, pinchOptions);
+      view3d.resize(window.innerWidth, window.innerHeight);
+      view3d.setRoom(room);
+    }
+
+    use3d = !use3d;
+    world.visible = !use3d;
+    canvas.classList.toggle('hidden', use3d);
+    view3d.canvas.classList.toggle('hidden', !use3d);
+    hudView.textContent = use3d ? '2D view' : '3D view';
+    hudView.setAttribute('aria-pressed', String(use3d));
+  }
+
+  hudView?.addEventListener('click', (e) => {
+    e.stopPropagation();
+    toggleView();
+  });
 
-    // If clicking current content tile, open it
-    const contentKey = `${clickCol},${clickRow}`;
-    const content = contentMap.get(contentKey);
-    if (clickCol === charCol && clickRow === charRow && content && content.type !== 'exit') {
-      openContentPanel(content.url);
+  // --- Search and fast travel ---
+  const search = searchRoot && searchInput && searchResults
+    ? createSearchPalette({
+      root: searchRoot,
+      input: searchInput,
+      list: searchResults,
+      fast: searchFast,
+      index: buildSearchIndex(rooms),
+      onQuery: (results) => {
+        searchMatches = results;
+        drawSearchMatches();
+      },
+      onPick: (entry, fast) => {
+        takeOver();
+        travelTo(entry, fast);
+      },
+    })
+    : null;
+
+  // Goes to a search result, changing rooms first if needed. Fast travel
+  // teleports; otherwise the character walks from where it arrives.
+  function travelTo(entry, fast) {
+    if (transitioning) return;
+    if (entry.room !== room.id) {
+      enterRoom(entry.room, () => goTo(entry, fast));
       return;
     }
+    goTo(entry, fast);
+  }
 
-    // Find path and walk
-    const path = findPath(grid, charCol, charRow, clickCol, clickRow);
-    if (path.length === 0) return;
+  function goTo({ col, row }, fast) {
+    if (fast || (col === core.col && row === core.row)) {
+      core.jumpTo(col, row);
+      snapCharacter();
+      return;
+    }
+    core.walkTo(col, row);
+  }
 
-    walkPath = path;
-    hideLabel();
-    startWalkStep();
+  hudSearch?.addEventListener('click', (e) => {
+    e.stopPropagation();
+    if (gameStarted && !core.panel) search?.open();
   });
 
   // --- Keyboard handler ---
   document.addEventListener('keydown', (e) => {
-    if (panelOpen) return;
-    if (!gameStarted) return;
-    if (isWalking) return;
+    if (core.panel || search?.isOpen || dialogue?.isOpen) return;
+    if (!gameStarted || transitioning) return;
+
+    // "/" or Ctrl+K (Cmd+K) opens search
+    if (e.key === '/' || ((e.ctrlKey || e.metaKey) && e.code === 'KeyK')) {
+      e.preventDefault();
+      search?.open();
+      return;
+    }
 
-    let dc = 0, dr = 0;
     switch (e.code) {
-      case 'KeyW': case 'ArrowUp':    dr = -1; break;
-      case 'KeyS': case 'ArrowDown':  dr = 1; break;
-      case 'KeyA': case 'ArrowLeft':  dc = -1; break;
-      case 'KeyD': case 'ArrowRight': dc = 1; break;
-      case 'KeyE': case 'Enter': {
-        // Interact with current tile
-        const key = `${charCol},${charRow}`;
-        const content = contentMap.get(key);
-        if (content && content.type !== 'exit') {
-          openContentPanel(content.url);
-        }
-        return;
+      case 'Equal': case 'NumpadAdd':
+        camera.zoomBy(ZOOM_STEP); return;
+      case 'Minus': case 'NumpadSubtract':
+        camera.zoomBy(1 / ZOOM_STEP); return;
+      case 'KeyW': case 'ArrowUp':    stepCharacter(0, -1); break;
+      case 'KeyS': case 'ArrowDown':  stepCharacter(0, 1); break;
+      case 'KeyA': case 'ArrowLeft':  stepCharacter(-1, 0); break;
+      case 'KeyD': case 'ArrowRight': stepCharacter(1, 0); break;
+      case 'KeyE':                    interactHere(); break;
+      case 'Enter':
+        // Enter on a HUD or D-pad button presses that button instead
+        if (!e.target.closest?.('button, a')) interactHere();
+        break;
+    }
+  });
+
+  // Moves one tile from the keyboard or the D-pad. Bumping into an NPC
+  // turns to face them
+  function stepCharacter(dc, dr) {
+    if (core.panel || dialogue?.isOpen || !gameStarted || transitioning) return;
+    takeOver();
+    core.step(dc, dr);
+  }
+
+  // Opens the content under the character, or talks to an NPC next to
+  // it (the one it faces first)
+  function interactHere() {
+    if (core.panel || dialogue?.isOpen || !gameStarted || transitioning || core.walking) return;
+    if (core.interact()) return;
+    const npc = npcLayer.neighbor(core.col, core.row, core.dir);
+    if (npc) startTalk(npc);
+  }
+
+  // --- NPC dialogue ---
+  let talkingTo = null;
+
+  const dialogue = dialogueRoot && dialogueName && dialogueText && dialogueChoices
+    ? createDialogueBox({
+      root: dialogueRoot,
+      nameEl: dialogueName,
+      textEl: dialogueText,
+      list: dialogueChoices,
+      onClose: () => {
+        talkingTo = null;
+        npcLayer.hold(null);
+      },
+    })
+    : null;
+
+  // Whether an NPC stands on one of the eight tiles around the character
+  function besideCharacter(npc) {
+    const at = npcLayer.where(npc);
+    return Boolean(at) && Math.max(Math.abs(at.col - core.col), Math.abs(at.row - core.row)) === 1;
+  }
+
+  // Where a URL's content sits in the world: { room, col, row, content }
+  function locate(url) {
+    for (const r of rooms.values()) {
+      for (const [key, content] of r.contentMap) {
+        if (content.url !== url || !isOpenable(content)) continue;
+        const [col, row] = key.split(',').map(Number);
+        return { room: r.id, col, row, content };
       }
-      default: return;
     }
+    return null;
+  }
+
+  function talkNode(nodeId) {
+    return dialogueNode(talkingTo, nodeId, window.EXPLORE_DATA, (url) => Boolean(locate(url)));
+  }
+
+  function startTalk(npc) {
+    if (!dialogue) return;
+    talkingTo = npc;
+    npcLayer.hold(npc);
+    npcLayer.turnToward(npc, core.col, core.row);
+    const at = npcLayer.where(npc);
+    core.face(at.col - core.col, at.row - core.row);
+    dialogue.open(npc.name, talkNode('start'), pickReply);
+  }
+
+  // Follows a reply: on to the next node, or closes the box and walks to
+  // or opens what the reply points at
+  function pickReply(choice) {
+    if (choice.next) {
+      dialogue.show(talkNode(choice.next));
+      return;
+    }
+    dialogue.close();
+    if (choice.walk) {
+      travelTo(locate(choice.walk.url), false);
+    } else if (choice.open) {
+      const place = locate(choice.open.url);
+      if (place) core.open(place.content);
+      else core.openUrl(choice.open.url);
+    }
+  }
 
-    const nc = charCol + dc;
-    const nr = charRow + dr;
-    if (nc < 0 || nc >= COLS || nr < 0 || nr >= ROWS) return;
-    if (!isWalkable(grid[nr][nc])) return;
+  // --- Guided tour ---
+  // Walks the character from stop to stop; the reader taking over the
+  // walk pauses it, and it picks up again from the stop it was heading to
+  const tourFile = parseTourFile(window.EXPLORE_DATA.tour, window.EXPLORE_DATA, (url) => Boolean(locate(url)));
+  tourFile.errors.forEach((msg) => console.warn(`[explore] explore_tour.yml ${msg}`));
+  if (savedTour !== null && savedTour >= tourFile.stops.length) savedTour = null;
+
+  const tour = tourRoot && tourStep && tourCaption && tourNext && tourPause && tourEnd
+    ? createTourGuide({
+      root: tourRoot,
+      stepEl: tourStep,
+      captionEl: tourCaption,
+      nextButton: tourNext,
+      pauseButton: tourPause,
+      endButton: tourEnd,
+      stops: tourFile.stops,
+      onVisit: visitStop,
+      onHalt: () => core.stop(),
+      onChange: () => {
+        hud?.classList.toggle('touring', Boolean(tour.mode));
+        persist();
+      },
+    })
+    : null;
+
+  // Sends the character to a stop, changing rooms first if needed. A stop
+  // it can't walk to (an NPC in a narrow street) is jumped to instead
+  function visitStop(stop) {
+    const place = locate(stop.url);
+    dialogue?.close();
+    if (transitioning) return;
+    if (place.room !== room.id) {
+      enterRoom(place.room, () => {
+        if (tour.mode === 'walking') visitStop(tour.stop);
+      });
+      return;
+    }
+    if (!core.walkTo(place.col, place.row)) goTo(place, true);
+  }
 
-    walkPath = [{ col: nc, row: nr }];
-    hideLabel();
-    startWalkStep();
+  // The reader moving the character themselves pauses a tour walk
+  function takeOver() {
+    if (tour?.mode === 'walking') tour.pause();
+  }
+
+  // --- Public API ---
+  // Other scripts' commands get the same checks as the reader's input
+  function canCommand() {
+    return gameStarted && !transitioning && !dialogue?.isOpen;
+  }
+
+  explore.attach({
+    walkTo(col, row) {
+      if (!canCommand() || core.panel || !inBounds(grid, col, row)) return false;
+      takeOver();
+      return core.walkTo(col, row);
+    },
+    teleport(col, row, roomId = room.id) {
+      const target = rooms.get(roomId);
+      if (!canCommand() || core.panel || !target) return false;
+      if (!inBounds(target.grid, col, row) || !isWalkable(target.grid[row][col])) return false;
+      takeOver();
+      travelTo({ room: roomId, col, row }, true);
+      return true;
+    },
+    openContent(url) {
+      if (!canCommand()) return false;
+      const place = locate(url);
+      return place ? core.open(place.content) : core.openUrl(url);
+    },
+    closeContent() {
+      if (!core.panel) return false;
+      core.closePanel();
+      return true;
+    },
+    setTheme(name) {
+      if (!themes.names.includes(name)) return false;
+      theme.set(name);
+      return true;
+    },
+    where: () => ({
+      room: room.id, col: core.col, row: core.row, dir: core.dir, walking: core.walking, panel: core.panel,
+    }),
+  });
+
+  // Listeners get copies, so they can't change the world's content
+  core.on('arrive', ({ col, row, content }) => {
+    explore.emit('arrive', { room: core.room.id, col, row, content: content && { ...content } });
+  });
+  core.on('open', ({ url, content }) => explore.emit('content:open', { url, content: content && { ...content } }));
+  core.on('close', () => explore.emit('content:close'));
+  core.on('room', ({ room: target }) => explore.emit('room:change', { room: target.id }));
+  core.on('exit', ({ url }) => explore.emit('exit', { url }));
+
+  // --- Deep links ---
+  // The hash follows the character. Each place it stops at gets a
+  // history entry (a one-tile step only updates the current one), and so
+  // does the open panel, so Back closes the panel and retraces the walk
+  // instead of leaving the page.
+  let shortWalk = false;      // the walk under way is a single step
+  let restoring = false;      // going back (or forward) to an entry
+  let panelContent = null;    // what the panel shows, if it's in the world
+
+  // Where a parsed link points: { position, content, open }, or null
+  function linkedPlace(link) {
+    if (!link) return null;
+    if (link.url) {
+      const place = locate(link.url);
+      if (!place) return null;
+      const npcStart = (col, row) => npcFile.npcs.some((npc) => npc.room === place.room && npc.col === col && npc.row === row);
+      const spot = besideTile(rooms.get(place.room), place.col, place.row, npcStart);
+      return { position: { room: place.room, ...spot }, content: place.content, open: link.open };
+    }
+    const target = rooms.get(link.room || start);
+    if (!target || !inBounds(target.grid, link.col, link.row) || !isWalkable(target.grid[link.row][link.col])) return null;
+    return { position: { room: target.id, col: link.col, row: link.row, dir: 'down' }, content: null, open: false };
+  }
+
+  // The hash for where the character is, naming the content it stands on
+  // or has open
+  function currentHash() {
+    const here = { room: core.room.id, col: core.col, row: core.row };
+    if (core.panel) return formatHash({ ...here, content: panelContent, open: true }, start);
+    const content = core.contentAt(core.col, core.row);
+    return formatHash({ ...here, content: isOpenable(content) ? content : null }, start);
+  }
+
+  function recordPlace({ replace = false } = {}) {
+    if (!gameStarted || restoring) return;
+    const state = { room: core.room.id, col: core.col, row: core.row, panel: Boolean(core.panel) };
+    const last = history.state?.explore;
+    const same = last && ['room', 'col', 'row', 'panel'].every((key) => last[key] === state[key]);
+    history[replace || same ? 'replaceState' : 'pushState']({ explore: state }, '', currentHash());
+  }
+
+  core.on('walk', ({ col, row }) => {
+    shortWalk = Math.max(Math.abs(col - core.col), Math.abs(row - core.row)) <= 1;
+  });
+  core.on('arrive', ({ content }) => {
+    // Doors and the exit lead on at once; the next room records itself
+    if (content?.type !== 'door' && content?.type !== 'exit') recordPlace({ replace: shortWalk });
+    shortWalk = false;
+  });
+  core.on('open', ({ content }) => {
+    panelContent = content;
+    recordPlace();
+  });
+  core.on('close', () => {
+    panelContent = null;
+    // Closed from the panel: step back over its entry
+    if (!restoring && history.state?.explore?.panel) history.back();
+  });
+
+  // Puts the character on a place from the history, changing rooms first
+  // if needed. Doors and the exit are stood on without going through
+  function moveTo({ room: roomId, col, row }, done) {
+    if (roomId !== room.id) {
+      enterRoom(roomId, () => moveTo({ room: roomId, col, row }, done));
+      return;
+    }
+    if (col !== core.col || row !== core.row) {
+      const content = core.contentAt(col, row);
+      if (content?.type === 'door' || content?.type === 'exit') {
+        core.place(col, row);
+        clearStanding();
+      } else {
+        core.jumpTo(col, row);
+      }
+      snapCharacter();
+    }
+    done();
+  }
+
+  window.addEventListener('popstate', (e) => {
+    if (!gameStarted || transitioning) return;
+    // No state: a hash typed into the address bar or followed on the page
+    const entry = e.state?.explore;
+    const link = parseHash(window.location.hash);
+    const place = entry || linkedPlace(link)?.position;
+    if (!place || !rooms.has(place.room)) return;
+
+    restoring = true;
+    takeOver();
+    dialogue?.close();
+    search?.close();
+    core.closePanel();
+    moveTo(place, () => {
+      const reopen = link?.open ? locate(link.url) : null;
+      if (entry) {
+        // Forward onto an open panel: it already has its entry
+        if (reopen && entry.panel) core.open(reopen.content);
+        restoring = false;
+        return;
+      }
+      restoring = false;
+      recordPlace({ replace: true });
+      if (reopen) core.open(reopen.content);
+    });
+  });
+
+  // --- Copy link ---
+  hudLink?.addEventListener('click', (e) => {
+    e.stopPropagation();
+    const url = new URL(currentHash(), window.location.href).href;
+    const copied = () => {
+      hudLink.textContent = 'Link copied';
+      a11y?.announce('Link to this place copied');
+      setTimeout(() => { hudLink.textContent = 'Copy link'; }, LINK_COPIED_MS);
+    };
+    // Without clipboard access (plain http, older browsers) the reader
+    // copies it from a prompt
+    const ask = () => window.prompt('Copy this link:', url);
+    if (navigator.clipboard) navigator.clipboard.writeText(url).then(copied, ask);
+    else ask();
+  });
+
+  // --- D-pad ---
+  const dpad = dpadEl
+    ? createDpad(dpadEl, { onStep: stepCharacter, onInteract: interactHere, repeatMs: WALK_SPEED })
+    : null;
+  let dpadShown = isTouchDevice();
+
+  // --- Minimap toggle (starts hidden on small screens) ---
+  function showMinimap(visible) {
+    minimapEl?.classList.toggle('hidden', !visible);
+    hudMap?.setAttribute('aria-pressed', String(visible));
+  }
+  showMinimap(window.innerWidth >= 768);
+
+  hudMap?.addEventListener('click', (e) => {
+    e.stopPropagation();
+    showMinimap(minimapEl?.classList.contains('hidden'));
+  });
+
+  function showDpad(visible) {
+    dpadShown = visible;
+    dpad?.show(visible);
+    hud?.classList.toggle('with-dpad', visible);
+    hudDpad?.setAttribute('aria-pressed', String(visible));
+  }
+  showDpad(dpadShown);
+
+  hudDpad?.addEventListener('click', (e) => {
+    e.stopPropagation();
+    showDpad(!dpadShown);
   });
 
   // --- Animation loop ---
   app.ticker.add(() => {
-    if (!isWalking) return;
-
     const dt = app.ticker.deltaMS;
-    walkProgress += dt / WALK_SPEED;
-    animTimer += dt;
+    core.update(dt);
+    animateCharacter(dt);
+    npcLayer.update(dt, performance.now(), motion.reduced);
+
+    camera.follow(charSprite.x + TILE_SIZE / 2, charSprite.y + TILE_SIZE / 2);
+    if (motion.reduced) camera.snap();
+    else camera.update(dt);
+    camera.applyTo(world);
+    cullTiles();
+
+    const drawKey = `${core.col},${core.row},${opened.size}`;
+    if (minimap && drawKey !== minimapDrawn) {
+      minimap.draw(core.col, core.row);
+      minimapDrawn = drawKey;
+    }
 
-    // Walk animation frame toggle
-    if (animTimer > ANIM_FRAME_RATE) {
-      animTimer = 0;
-      charAnimFrame = (charAnimFrame + 1) % 2;
+    // Lamps, neon and clouds; held still with reduced motion
+    tilemap.animate(motion.reduced ? 0 : performance.now());
+
+    // Twinkle the "new" sparkles
+    if (sparkleLayer) {
+      sparkleLayer.alpha = motion.reduced
+        ? 1
+        : 0.55 + 0.45 * Math.sin((performance.now() / SPARKLE_PERIOD) * Math.PI * 2);
     }
-    charSprite.texture = charFrames[charDir][charAnimFrame];
-
-    if (walkProgress >= 1) {
-      // Snap to target
-      charCol = walkToCol;
-      charRow = walkToRow;
-      charSprite.x = charCol * TILE_SIZE;
-      charSprite.y = charRow * TILE_SIZE;
-      startWalkStep();
-    } else {
-      // Interpolate
-      charSprite.x = (walkFromCol + (walkToCol - walkFromCol) * walkProgress) * TILE_SIZE;
-      charSprite.y = (walkFromRow + (walkToRow - walkFromRow) * walkProgress) * TILE_SIZE;
+
+    if (use3d) {
+      view3d.render({
+        x: core.x,
+        y: core.y,
+        dir: core.dir,
+        zoom: camera.zoom,
+        dt: motion.reduced ? 0 : dt,   // markers hold still
+        npcs: npcLayer.figures(),
+      });
     }
   });
 
+  // Follows the core's position: the walk cycle while walking, breathing
+  // while standing
+  function animateCharacter(dt) {
+    charSprite.x = core.x * TILE_SIZE;
+    charSprite.y = core.y * TILE_SIZE;
+    if (!core.walking) {
+      charAnimFrame = 0;
+      charSprite.texture = idleFrame();
+      return;
+    }
+
+    animTimer += dt;
+    const { walk } = charFrames[core.dir];
+    if (animTimer > ANIM_FRAME_RATE) {
+      animTimer = 0;
+      charAnimFrame = (charAnimFrame + 1) % walk.length;
+    }
+    charSprite.texture = walk[charAnimFrame];
+  }
+
   setProgress(100);
 
   // --- Fade out loading, show start prompt ---
   if (loadingScreen) {
     loadingScreen.style.opacity = '0';
-    setTimeout(() => loadingScreen.classList.add('hidden'), 500);
+    setTimeout(() => loadingScreen.classList.add('hidden'), fadeTime(LOADING_FADE_MS));
   }
 
-  await new Promise((r) => setTimeout(r, 500));
+  await new Promise((r) => setTimeout(r, fadeTime(LOADING_FADE_MS)));
 
   if (startTitle) startTitle.textContent = config.welcome;
   startPrompt?.classList.remove('hidden');
 
-  startButton?.addEventListener('click', () => {
+  // --- Avatar picker: redraws the character as the reader changes it ---
+  const picker = avatarPicker
+    ? createAvatarPicker(avatarPicker, {
+      palette,
+      onChange: (avatar) => {
+        setCharFrames(avatar);
+        charSprite.texture = idleFrame();
+      },
+    })
+    : null;
+
+  // --- Theme switcher ---
+  // Redraws everything in the new palette; the room, position, opened
+  // content and view stay as they are.
+  async function applyTheme(name) {
+    config = themes.get(name);
+    palette = config.palette;
+    applyThemeClass(config.themeClass);
+    if (startTitle) startTitle.textContent = config.welcome;
+    if (hudTheme) hudTheme.value = name;
+    app.renderer.background.color = PIXI.utils.string2hex(palette.bg);
+
+    const oldTextures = tileTextures;
+    const oldAnimation = tileAnimation;
+    tileTextures = createTileTextures(palette);
+    tileAnimation = createTileAnimation(config.decoration, palette);
+    tilemap.setTextures(tileTextures, tileAnimation);
+    setCharFrames(picker?.avatar || loadAvatar());
+    charSprite.texture = core.walking ? charFrames[core.dir].walk[charAnimFrame] : idleFrame();
+    drawFocusRing();
+    minimap?.setPalette(palette);
+    minimapDrawn = null;
+    paintLegend();
+    picker?.setPalette(palette);
+    // NPCs are recolored where they stand, so one mid-dialogue stays put
+    npcLayer.setPalette(palette);
+    npcLayer.setNpcs(roomNpcs());
+    renderRoom();
+    oldTextures.destroy();
+    oldAnimation?.destroy();
+
+    // The 3D view bakes its colors in, so it's rebuilt on next use
+    if (view3d) {
+      const showing = use3d;
+      if (showing) await toggleView();
+      view3d.destroy();
+      view3d = null;
+      if (showing) await toggleView();
+    }
+  }
+
+  if (hudTheme) {
+    for (const name of themes.names) {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = themes.get(name).label;
+      hudTheme.appendChild(option);
+    }
+    hudTheme.value = theme.name;
+    hudTheme.addEventListener('change', () => theme.set(hudTheme.value));
+    // Keep clicks and arrow keys from walking the character
+    ['click', 'keydown'].forEach((type) => hudTheme.addEventListener(type, (e) => e.stopPropagation()));
+  }
+  theme.onChange(applyTheme);
+
+  if (resume) {
+    if (startButton) startButton.textContent = 'Continue';
+    startOver?.classList.remove('hidden');
+  }
+  if (!tour || tourFile.stops.length === 0) startTour?.classList.add('hidden');
+  else if (savedTour !== null && startTour) startTour.textContent = 'Resume the tour';
+
+  function startGame() {
     startPrompt?.classList.add('hidden');
     hud?.classList.remove('hidden');
     gameStarted = true;
+    explore.start();
+    recordPlace({ replace: true });
+    a11y?.focus();
+    a11y?.announce(`${config.welcome}. You are in the ${room.name}. `
+      + 'Press Tab to walk to the next post or door, arrow keys to step, Enter to open.');
+    if (linked?.open) core.open(linked.content);
+  }
+
+  startButton?.addEventListener('click', startGame);
+
+  startTour?.addEventListener('click', () => {
+    startGame();
+    tour.start(savedTour ?? 0);
+  });
+
+  // Forget the saved state and begin again at the spawn
+  startOver?.addEventListener('click', () => {
+    clearState();
+    savedTour = null;
+    core.reset();
+    updateProgress();
+    startGame();
   });
 
   // --- Exit button ---
   const hudExit = document.getElementById('hud-exit');
-  hudExit?.addEventListener('click', () => { window.location.href = '/'; });
+  hudExit?.addEventListener('click', () => {
+    explore.emit('exit', { url: '/' });
+    window.location.href = '/';
+  });
 }
 
 /* ============================================
@@ -1,7 +1,8 @@
 /**
- * map.js — Grid layout, tile types, BFS pathfinding, content assignment
+ * map.js — Grid layout, tile types, pathfinding, content assignment
  *
- * The map is a 12x10 grid. Tile types:
+ * The map is generated from the site content and is at least 12x10.
+ * Tile types:
  *   0 = grass (walkable)
  *   1 = path  (walkable)
  *   2 = deco  (obstacle, not walkable)
@@ -10,8 +11,18 @@
  *   5 = about (walkable, content)
  *   6 = exit  (walkable, navigates to /)
  *   7 = spawn (walkable, character start)
+ *   8 = sign  (obstacle, district signpost read from adjacent tiles)
+ *   9 = door  (walkable, moves the player to another room)
+ *  10+ = tile types registered from outside (see tiletypes.js)
+ *
+ * The world is split into rooms (see ROOMS), each generated on its own
+ * grid. Inside a room, content is grouped into districts, one per tag in
+ * _data/tags.yml that has content there, each with a signpost and tint.
  */
 
+import { aStar } from './pathfinding.js';
+import { tileContent, tileTypeById, tileTypeNamed } from './tiletypes.js';
+
 export const TILE = {
   GRASS:   0,
   PATH:    1,
@@ -21,189 +32,563 @@ export const TILE = {
   ABOUT:   5,
   EXIT:    6,
   SPAWN:   7,
+  SIGN:    8,
+  DOOR:    9,
 };
 
-// 12 columns x 10 rows
-// Top = row 0, left = col 0
+/**
+ * Room registry. `content` lists the kinds of content laid out on the
+ * room's streets; `features` are placed around the plaza in anchor order
+ * (see plazaAnchors). Doors come in pairs: a "door:<id>" feature leads
+ * to the room <id>, arriving on that room's door back.
+ */
+export const ROOMS = [
+  {
+    id: 'hall',
+    name: 'Blog Hall',
+    content: ['post'],
+    features: ['spawn', 'door:workshop', 'door:study', 'exit', 'door:music'],
+  },
+  { id: 'workshop', name: 'Projects Workshop', content: ['project'], features: ['door:hall'] },
+  { id: 'music',    name: 'Music Room',        content: ['tab'],     features: ['door:hall'] },
+  { id: 'study',    name: 'Study',             content: [],          features: ['door:hall', 'about'] },
+];
+
+export const START_ROOM = 'hall';
+
+// Tile type used for each kind of content
+const KIND_TILES = { post: TILE.BLOG, project: TILE.PROJECT, tab: TILE.BLOG };
+
+const FEATURE_TILES = { spawn: TILE.SPAWN, exit: TILE.EXIT, about: TILE.ABOUT, door: TILE.DOOR };
+
+// Minimum world size. The generated grid grows beyond this when there is
+// more content than fits. Top = row 0, left = col 0.
 export const COLS = 12;
 export const ROWS = 10;
 
-const G = TILE.GRASS;
-const P = TILE.PATH;
-const D = TILE.DECO;
-const B = TILE.BLOG;
-const R = TILE.PROJECT;
-const A = TILE.ABOUT;
-const E = TILE.EXIT;
-const S = TILE.SPAWN;
-
-export const BASE_GRID = [
-  [D, D, D, D, D, D, D, D, D, D, D, D],
-  [D, G, G, B, B, B, B, B, B, G, G, D],
-  [D, G, G, P, P, P, P, P, P, G, G, D],
-  [D, G, G, P, G, G, G, G, P, G, G, D],
-  [D, R, G, P, G, S, G, G, P, G, A, D],
-  [D, R, G, P, G, G, G, G, P, G, G, D],
-  [D, R, G, P, G, G, G, G, P, G, G, D],
-  [D, G, G, P, P, P, P, P, P, G, G, D],
-  [D, G, G, G, G, E, G, G, G, G, G, D],
-  [D, D, D, D, D, D, D, D, D, D, D, D],
-];
+const BLOCK_ROWS = 4;       // content row, street, content row, gap
+const MAX_COLS = 28;        // grow downward (more streets) past this width
+const DECO_DENSITY = 0.3;   // share of free grass tiles to try as obstacles
 
 /**
  * Returns true if a tile type is walkable.
  */
 export function isWalkable(tileType) {
-  return tileType !== TILE.DECO;
+  const custom = tileTypeById(tileType);
+  if (custom) return custom.walkable;
+  return tileType !== TILE.DECO && tileType !== TILE.SIGN;
+}
+
+/**
+ * Returns true if (col, row) lies inside the grid.
+ */
+export function inBounds(grid, col, row) {
+  return row >= 0 && row < grid.length && col >= 0 && col < grid[0].length;
 }
 
 /**
  * Finds the spawn position {col, row} in the grid.
  */
 export function findSpawn(grid) {
-  for (let r = 0; r < ROWS; r++) {
-    for (let c = 0; c < COLS; c++) {
+  for (let r = 0; r < grid.length; r++) {
+    for (let c = 0; c < grid[r].length; c++) {
       if (grid[r][c] === TILE.SPAWN) return { col: c, row: r };
     }
   }
   return { col: 5, row: 4 }; // fallback
 }
 
+/* ============================================
+   Layout Generation
+   ============================================ */
+
+// FNV-1a, so the same content always seeds the same world
+function hashString(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// mulberry32 — small seeded PRNG returning floats in [0, 1)
+function createRng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Content lists by kind
+function contentSources(exploreData) {
+  return {
+    post: (exploreData && exploreData.posts) || [],
+    project: (exploreData && exploreData.projects) || [],
+    tab: (exploreData && exploreData.tabs) || [],
+  };
+}
+
+function findRoom(roomId) {
+  return ROOMS.find((room) => room.id === roomId) || ROOMS[0];
+}
+
 /**
- * Creates a deep copy of the grid and assigns content data to
- * BLOG, PROJECT, and ABOUT tiles.
+ * Returns the ids of rooms worth visiting: the start room (it holds the
+ * spawn and the exit) and rooms with no content kinds (like the study)
+ * always open; the others need at least one item.
+ */
+function openRooms(exploreData) {
+  const sources = contentSources(exploreData);
+  return new Set(ROOMS
+    .filter((room) => room.id === START_ROOM || room.content.length === 0
+      || room.content.some((kind) => sources[kind].length > 0))
+    .map((room) => room.id));
+}
+
+/**
+ * Groups items into districts by primary tag — the first of an item's
+ * tags that is registered in _data/tags.yml. Districts keep the order of
+ * the tag registry; items with no registered tag end up in a final
+ * unnamed district with no signpost.
+ */
+function groupByDistrict(tags, items) {
+  const districts = tags.map((tag) => ({
+    name: tag.name,
+    description: tag.description || '',
+    color: tag.color || null,
+    items: [],
+  }));
+  const byName = new Map(districts.map((d) => [d.name, d]));
+  const unsorted = { name: null, description: '', color: null, items: [] };
+
+  function districtFor(itemTags) {
+    for (const tag of itemTags || []) {
+      if (byName.has(tag)) return byName.get(tag);
+    }
+    return unsorted;
+  }
+
+  items.forEach((item) => districtFor(item.tags).items.push(item));
+
+  return [...districts, unsorted].filter((d) => d.items.length > 0);
+}
+
+/**
+ * Street segments: the runs of columns either side of the spine.
+ */
+function streetSegments(cols, spineCol) {
+  return [
+    { from: 2, to: spineCol - 1 },
+    { from: spineCol + 1, to: cols - 3 },
+  ];
+}
+
+/**
+ * Packs districts onto street columns. Each column holds two slots, one
+ * above and one below the street. A district that fits in a whole segment
+ * but not in what is left of the current one starts on the next segment,
+ * so small districts never straddle the spine.
  *
- * Returns { grid: number[][], contentMap: Map<string, object> }
- * where contentMap keys are "col,row" strings.
+ * Returns { streets, spans } where spans[i] lists the {col, street}
+ * columns given to districts[i], in fill order.
  */
-export function buildGameGrid(exploreData) {
-  // Deep copy
-  const grid = BASE_GRID.map((row) => [...row]);
-  const contentMap = new Map();
+function packDistricts(districts, cols, spineCol) {
+  const segments = streetSegments(cols, spineCol);
+  const segLength = (g) => segments[g].to - segments[g].from + 1;
+  const widest = Math.max(segLength(0), segLength(1));
 
-  const posts = (exploreData && exploreData.posts) || [];
-  const projects = (exploreData && exploreData.projects) || [];
-  const about = (exploreData && exploreData.about) || { url: '/about/' };
+  let street = 0;
+  let seg = 0;
+  let offset = 0;
+
+  function advanceSegment() {
+    offset = 0;
+    seg++;
+    if (seg === segments.length) { seg = 0; street++; }
+  }
+
+  const spans = districts.map((d) => {
+    const slots = d.items.length + (d.name ? 1 : 0);
+    const width = Math.ceil(slots / 2);
+    if (offset > 0 && width > segLength(seg) - offset && width <= widest) advanceSegment();
+
+    const span = [];
+    for (let i = 0; i < width; i++) {
+      if (offset === segLength(seg)) advanceSegment();
+      span.push({ col: segments[seg].from + offset, street });
+      offset++;
+    }
+    return span;
+  });
+
+  const used = spans.flat().map((unit) => unit.street);
+  return { streets: Math.max(0, ...used) + 1, spans };
+}
 
-  // Collect positions for each content type
-  const blogTiles = [];
-  const projectTiles = [];
-  let aboutTile = null;
+/**
+ * Plaza feature spots, in the order room features fill them: the plaza
+ * center on the spine, the plaza's right and left ends, then the bottom
+ * row's center, right and left.
+ */
+function plazaAnchors(cols, plazaRow, exitRow, spineCol) {
+  return [
+    { col: spineCol, row: plazaRow },
+    { col: cols - 3, row: plazaRow },
+    { col: 2, row: plazaRow },
+    { col: spineCol, row: exitRow },
+    { col: cols - 3, row: exitRow },
+    { col: 2, row: exitRow },
+  ];
+}
 
-  for (let r = 0; r < ROWS; r++) {
-    for (let c = 0; c < COLS; c++) {
-      if (grid[r][c] === TILE.BLOG) blogTiles.push({ col: c, row: r });
-      if (grid[r][c] === TILE.PROJECT) projectTiles.push({ col: c, row: r });
-      if (grid[r][c] === TILE.ABOUT && !aboutTile) aboutTile = { col: c, row: r };
+/**
+ * The walkable tiles reachable from (col, row), as a Set of "col,row"
+ * keys, with a 4-directional flood fill. findPath's diagonal steps never
+ * cut corners, so they reach no tiles this misses.
+ */
+export function reachableTiles(grid, col, row) {
+  const seen = new Set([`${col},${row}`]);
+  const stack = [{ col, row }];
+  while (stack.length > 0) {
+    const cur = stack.pop();
+    for (const [dc, dr] of [[0, -1], [0, 1], [-1, 0], [1, 0]]) {
+      const nc = cur.col + dc;
+      const nr = cur.row + dr;
+      const k = `${nc},${nr}`;
+      if (!inBounds(grid, nc, nr) || seen.has(k)) continue;
+      if (!isWalkable(grid[nr][nc])) continue;
+      seen.add(k);
+      stack.push({ col: nc, row: nr });
     }
   }
+  return seen;
+}
 
-  // Assign posts to blog tiles (excess tiles become grass)
-  blogTiles.forEach((pos, i) => {
-    if (i < posts.length) {
-      contentMap.set(`${pos.col},${pos.row}`, {
-        type: 'post',
-        title: posts[i].title,
-        url: posts[i].url,
-        meta: posts[i].date || '',
-      });
-    } else {
-      grid[pos.row][pos.col] = TILE.GRASS;
+/**
+ * Generates the layout of one room, sized for its share of exploreData.
+ *
+ * Districts sit on both sides of horizontal streets joined by a vertical
+ * spine that runs down to the plaza, where the room's features (spawn,
+ * doors, about, exit) are placed.
+ * The grid widens until MAX_COLS, then adds streets. Deco obstacles are
+ * scattered over the leftover grass, and any placement that would cut off
+ * part of the walkable area is undone, so every content tile stays
+ * reachable from the spawn.
+ *
+ * The layout is seeded from the room id and content URLs: the same data
+ * always produces the same map.
+ *
+ * Returns {
+ *   grid: number[][],
+ *   placements: [{ col, row, kind: 'post'|'project'|'tab', index }],
+ *   features: [{ col, row, kind: 'spawn'|'door'|'about'|'exit', room? }],
+ *   districts: [{ name, description, color, sign: {col,row}|null,
+ *                 rects: [{ col, row, width, height }] }],
+ * }
+ */
+export function generateLayout(exploreData, roomId = START_ROOM) {
+  const room = findRoom(roomId);
+  const sources = contentSources(exploreData);
+  const items = room.content.flatMap((kind) =>
+    sources[kind].map((entry, index) => ({ kind, index, tags: entry.tags, url: entry.url }))
+  );
+  const groups = groupByDistrict((exploreData && exploreData.tags) || [], items);
+
+  // --- Size: widen first, then add streets ---
+  let cols = COLS;
+  let packed;
+  for (;;) {
+    packed = packDistricts(groups, cols, Math.floor(cols / 2));
+    const height = packed.streets * BLOCK_ROWS + 4;
+    if (height <= cols || cols >= MAX_COLS) break;
+    cols += 2;
+  }
+
+  const { streets, spans } = packed;
+  const plazaRow = 1 + streets * BLOCK_ROWS;
+  const rows = Math.max(ROWS, plazaRow + 3);
+  const spineCol = Math.floor(cols / 2);
+  const exitRow = rows - 2;
+
+  // --- Base: deco border around grass ---
+  const grid = [];
+  for (let r = 0; r < rows; r++) {
+    const row = [];
+    for (let c = 0; c < cols; c++) {
+      const edge = r === 0 || c === 0 || r === rows - 1 || c === cols - 1;
+      row.push(edge ? TILE.DECO : TILE.GRASS);
     }
-  });
+    grid.push(row);
+  }
 
-  // Assign projects
-  projectTiles.forEach((pos, i) => {
-    if (i < projects.length) {
-      contentMap.set(`${pos.col},${pos.row}`, {
-        type: 'project',
-        title: projects[i].title,
-        url: projects[i].url,
-        meta: '',
-      });
-    } else {
-      grid[pos.row][pos.col] = TILE.GRASS;
+  // --- Streets and spine ---
+  for (let b = 0; b < streets; b++) {
+    const streetRow = 2 + b * BLOCK_ROWS;
+    for (let c = 2; c <= cols - 3; c++) grid[streetRow][c] = TILE.PATH;
+  }
+  for (let r = 2; r < exitRow; r++) grid[r][spineCol] = TILE.PATH;
+
+  // --- Districts: signpost first, then content, above then below ---
+  const placements = [];
+  const districts = groups.map((group, i) => {
+    const slots = [];
+    for (const { col, street } of spans[i]) {
+      const top = 1 + street * BLOCK_ROWS;
+      slots.push({ col, row: top }, { col, row: top + 2 });
     }
+
+    let sign = null;
+    if (group.name) {
+      sign = slots.shift();
+      grid[sign.row][sign.col] = TILE.SIGN;
+    }
+
+    group.items.forEach((item, j) => {
+      const { col, row } = slots[j];
+      grid[row][col] = KIND_TILES[item.kind];
+      placements.push({ col, row, kind: item.kind, index: item.index });
+    });
+
+    // One rect per run of columns on the same street
+    const rects = [];
+    for (const { col, street } of spans[i]) {
+      const last = rects[rects.length - 1];
+      const row = 1 + street * BLOCK_ROWS;
+      if (last && last.row === row && last.col + last.width === col) last.width++;
+      else rects.push({ col, row, width: 1, height: 3 });
+    }
+
+    return {
+      name: group.name,
+      description: group.description,
+      color: group.color,
+      sign,
+      rects,
+    };
   });
 
-  // About tile
-  if (aboutTile) {
-    contentMap.set(`${aboutTile.col},${aboutTile.row}`, {
-      type: 'about',
-      title: 'About Me',
-      url: about.url,
-      meta: '',
+  // --- Plaza: a cross street with the room's features around it ---
+  for (let c = 2; c <= cols - 3; c++) grid[plazaRow][c] = TILE.PATH;
+
+  const open = openRooms(exploreData);
+  const anchors = plazaAnchors(cols, plazaRow, exitRow, spineCol);
+  const features = room.features
+    .map((name) => {
+      const [kind, target] = name.split(':');
+      return target ? { kind, room: target } : { kind };
+    })
+    .filter((f) => !f.room || open.has(f.room))
+    .slice(0, anchors.length)
+    .map((f, i) => {
+      const { col, row } = anchors[i];
+      grid[row][col] = FEATURE_TILES[f.kind];
+      return { col, row, ...f };
     });
+
+  // --- Deco: scatter over free grass without disconnecting anything ---
+  const seed = hashString(
+    [roomId, ...items.map((item) => item.url || '')].join('|')
+  );
+  const rng = createRng(seed);
+
+  const candidates = [];
+  for (let r = 1; r < rows - 1; r++) {
+    for (let c = 1; c < cols - 1; c++) {
+      if (grid[r][c] !== TILE.GRASS) continue;
+      // Keep the tiles around the spawn open
+      if (Math.abs(r - plazaRow) <= 1 && Math.abs(c - spineCol) <= 1) continue;
+      candidates.push({ col: c, row: r });
+    }
   }
+  for (let i = candidates.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
+  }
+
+  let walkable = 0;
+  for (const row of grid) for (const t of row) if (isWalkable(t)) walkable++;
 
-  // Exit tile
-  for (let r = 0; r < ROWS; r++) {
-    for (let c = 0; c < COLS; c++) {
-      if (grid[r][c] === TILE.EXIT) {
-        contentMap.set(`${c},${r}`, {
-          type: 'exit',
-          title: 'Exit',
-          url: '/',
-          meta: 'Back to blog',
-        });
-      }
+  const target = Math.round(candidates.length * DECO_DENSITY);
+  let placed = 0;
+  for (const pos of candidates) {
+    if (placed >= target) break;
+    grid[pos.row][pos.col] = TILE.DECO;
+    if (reachableTiles(grid, spineCol, plazaRow).size === walkable - 1) {
+      walkable--;
+      placed++;
+    } else {
+      grid[pos.row][pos.col] = TILE.GRASS;
     }
   }
 
-  return { grid, contentMap };
+  return { grid, placements, features, districts };
 }
 
+/* ============================================
+   Content Assignment
+   ============================================ */
+
 /**
- * BFS pathfinding from (startCol, startRow) to (endCol, endRow).
- * Returns an array of {col, row} steps (excluding start, including end),
- * or empty array if no path exists.
+ * Assigns content data to the BLOG, PROJECT, ABOUT, EXIT, DOOR, SIGN and
+ * registered tiles of a room layout — generated unless one is passed in
+ * (see mapfile.js).
+ *
+ * Returns { grid: number[][], contentMap: Map<string, object>, districts }
+ * where contentMap keys are "col,row" strings.
  */
-export function findPath(grid, startCol, startRow, endCol, endRow) {
-  if (startCol === endCol && startRow === endRow) return [];
-  if (!isWalkable(grid[endRow]?.[endCol])) return [];
+export function buildGameGrid(exploreData, roomId = START_ROOM, layout = generateLayout(exploreData, roomId)) {
+  const { grid, placements, features, districts } = layout;
+  const contentMap = new Map();
 
-  const key = (c, r) => `${c},${r}`;
-  const visited = new Set();
-  const parent = new Map();
+  const sources = contentSources(exploreData);
+  const about = (exploreData && exploreData.about) || { url: '/about/' };
 
-  const queue = [{ col: startCol, row: startRow }];
-  visited.add(key(startCol, startRow));
+  // Posts, projects and tabs
+  for (const { col, row, kind, index } of placements) {
+    const entry = sources[kind][index];
+    contentMap.set(`${col},${row}`, {
+      type: kind,
+      title: entry.title,
+      url: entry.url,
+      meta: kind === 'post' ? entry.date || '' : '',
+      // Preview card details
+      description: entry.description || '',
+      tags: entry.tags || [],
+      category: entry.category || '',
+      featured: Boolean(entry.featured),
+      words: entry.words || 0,
+    });
+  }
 
-  const dirs = [
-    { dc: 0, dr: -1 }, // up
-    { dc: 0, dr: 1 },  // down
-    { dc: -1, dr: 0 }, // left
-    { dc: 1, dr: 0 },  // right
-  ];
+  // District signposts
+  for (const district of districts) {
+    if (!district.sign) continue;
+    contentMap.set(`${district.sign.col},${district.sign.row}`, {
+      type: 'sign',
+      title: district.name,
+      url: '',
+      meta: district.description,
+    });
+  }
 
-  while (queue.length > 0) {
-    const current = queue.shift();
-
-    if (current.col === endCol && current.row === endRow) {
-      // Reconstruct path
-      const path = [];
-      let node = { col: endCol, row: endRow };
-      while (node.col !== startCol || node.row !== startRow) {
-        path.unshift(node);
-        node = parent.get(key(node.col, node.row));
-      }
-      return path;
+  // Plaza features, and registered tiles from a map file
+  for (const { col, row, kind, room, arg } of features) {
+    const key = `${col},${row}`;
+    if (kind === 'about') {
+      contentMap.set(key, { type: 'about', title: 'About Me', url: about.url, meta: '' });
+    } else if (kind === 'exit') {
+      contentMap.set(key, { type: 'exit', title: 'Exit', url: '/', meta: 'Back to blog' });
+    } else if (kind === 'door') {
+      contentMap.set(key, { type: 'door', title: findRoom(room).name, url: '', meta: 'Door', room });
+    } else if (tileTypeNamed(kind)) {
+      contentMap.set(key, tileContent(tileTypeNamed(kind), arg));
     }
+  }
 
-    for (const { dc, dr } of dirs) {
-      const nc = current.col + dc;
-      const nr = current.row + dr;
-      const k = key(nc, nr);
+  return { grid, contentMap, districts };
+}
 
-      if (nc < 0 || nc >= COLS || nr < 0 || nr >= ROWS) continue;
-      if (visited.has(k)) continue;
-      if (!isWalkable(grid[nr][nc])) continue;
+/**
+ * Builds every open room of the world. layouts optionally maps room ids
+ * to hand-made layouts that replace the generated ones.
+ *
+ * Returns { start: string, rooms: Map<string, { id, name, grid,
+ * contentMap, districts }> }.
+ */
+export function buildWorld(exploreData, { layouts = new Map() } = {}) {
+  const open = openRooms(exploreData);
+  const rooms = new Map();
+  for (const room of ROOMS) {
+    if (!open.has(room.id)) continue;
+    const layout = layouts.get(room.id) || generateLayout(exploreData, room.id);
+    rooms.set(room.id, { id: room.id, name: room.name, ...buildGameGrid(exploreData, room.id, layout) });
+  }
+  return { start: START_ROOM, rooms };
+}
+
+/**
+ * Returns a short fingerprint of a room's tile layout. It changes whenever
+ * the layout does, so saved positions can be checked against it.
+ */
+export function roomSignature(room) {
+  return hashString(room.grid.map((tiles) => tiles.join(',')).join(';')).toString(36);
+}
 
-      visited.add(k);
-      parent.set(k, { col: current.col, row: current.row });
-      queue.push({ col: nc, row: nr });
+/**
+ * Finds the door in a room that leads back to fromRoomId, or null.
+ */
+export function findDoor(room, fromRoomId) {
+  for (const [key, content] of room.contentMap) {
+    if (content.type === 'door' && content.room === fromRoomId) {
+      const [col, row] = key.split(',').map(Number);
+      return { col, row };
     }
   }
+  return null;
+}
+
+/* ============================================
+   Pathfinding
+   ============================================ */
+
+// Cost of stepping onto each walkable tile. Paved tiles are cheap, so
+// routes follow the streets instead of cutting across the grass.
+const TILE_COSTS = {
+  [TILE.GRASS]:   2.5,
+  [TILE.PATH]:    1,
+  [TILE.BLOG]:    1,
+  [TILE.PROJECT]: 1,
+  [TILE.ABOUT]:   1,
+  [TILE.EXIT]:    1,
+  [TILE.SPAWN]:   1,
+  [TILE.DOOR]:    1,
+};
+
+/**
+ * Returns the cost of stepping onto a tile type (Infinity if blocked).
+ */
+export function tileCost(tileType) {
+  if (!isWalkable(tileType)) return Infinity;
+  const custom = tileTypeById(tileType);
+  if (custom) return custom.paved ? 1 : TILE_COSTS[TILE.GRASS];
+  return TILE_COSTS[tileType] ?? 1;
+}
+
+/**
+ * Weighted A* pathfinding from (startCol, startRow) to (endCol, endRow).
+ * Paths prefer paved tiles (see TILE_COSTS). With options.diagonal,
+ * diagonal steps are allowed as long as they don't cut a blocked corner.
+ * options.blocked(col, row) marks extra tiles as obstacles (NPCs).
+ * If the end tile is an obstacle, the path leads to the cheapest
+ * reachable tile next to it.
+ * Returns an array of {col, row} steps (excluding start, including end),
+ * or empty array if no path exists.
+ */
+export function findPath(grid, startCol, startRow, endCol, endRow, { diagonal = false, blocked = null } = {}) {
+  if (startCol === endCol && startRow === endRow) return [];
+  if (!inBounds(grid, endCol, endRow)) return [];
+
+  const search = {
+    cols: grid[0].length,
+    rows: grid.length,
+    start: { col: startCol, row: startRow },
+    goal: { col: endCol, row: endRow },
+    cost: (c, r) => (blocked?.(c, r) ? Infinity : tileCost(grid[r][c])),
+    diagonal,
+  };
+
+  // Blocked target: stop on any walkable neighbor instead
+  if (!isWalkable(grid[endRow][endCol]) || blocked?.(endCol, endRow)) {
+    search.isGoal = (c, r) => Math.abs(c - endCol) <= 1 && Math.abs(r - endRow) <= 1
+      && (diagonal || c === endCol || r === endRow);
+    search.slack = diagonal ? Math.SQRT2 : 1;
+    if (search.isGoal(startCol, startRow)) return [];   // already next to it
+  }
 
-  return []; // no path found
+  return aStar(search);
 }
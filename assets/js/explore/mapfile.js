@@ -0,0 +1,261 @@
+/**
+ * mapfile.js — Hand-made room layouts from _data/explore_map.yml
+ *
+ * The site injects the data file as EXPLORE_DATA.map. Each room listed
+ * there replaces the generated layout for that room:
+ *
+ *   rooms:
+ *     hall:
+ *       legend:            # optional, extends DEFAULT_LEGEND
+ *         "1": door:workshop
+ *         "a": sign:ai
+ *         "g": link:https://github.com/Marcushadow   # registered tile
+ *       tiles: |           # one character per tile, all rows equal width
+ *         ############
+ *         #P.P.==.P.P#
+ *         ...
+ *       slots:             # optional, pin content to a tile
+ *         featured:
+ *           at: [4, 1]     # [col, row], 0-based
+ *           url: /blog/2026/06/02/multiagent-orchestration-gold-standard/
+ *       decorations:       # optional layers; any character but "." or
+ *         - |              # a space puts an obstacle on grass or path
+ *           ..#.......#.
+ *
+ * Content slots (post, project, tab) are filled in site order after the
+ * pinned slots; unused slots become path. A room with any error keeps
+ * its generated layout, and the errors are returned for the console.
+ */
+
+import { TILE, ROOMS, START_ROOM, inBounds, isWalkable, reachableTiles } from './map.js';
+import { tileTypeNamed } from './tiletypes.js';
+
+export const DEFAULT_LEGEND = {
+  '.': 'grass',
+  '=': 'path',
+  '#': 'deco',
+  'S': 'spawn',
+  'X': 'exit',
+  'A': 'about',
+  'P': 'post',
+  'J': 'project',
+  'T': 'tab',
+};
+
+const TILE_NAMES = {
+  grass: TILE.GRASS,
+  path: TILE.PATH,
+  deco: TILE.DECO,
+  spawn: TILE.SPAWN,
+  exit: TILE.EXIT,
+  about: TILE.ABOUT,
+  post: TILE.BLOG,
+  project: TILE.PROJECT,
+  tab: TILE.BLOG,
+  door: TILE.DOOR,
+  sign: TILE.SIGN,
+};
+
+/**
+ * Returns the tile type for a legend value ("path", "door:study", ...),
+ * or null if the value names no tile.
+ */
+export function legendTile(value) {
+  const { kind } = parseTileName(value);
+  return TILE_NAMES[kind] ?? tileTypeNamed(kind)?.id ?? null;
+}
+
+const CONTENT_KINDS = ['post', 'project', 'tab'];
+const FEATURE_KINDS = ['spawn', 'exit', 'about', 'door'];
+
+const SOURCE_KEYS = { post: 'posts', project: 'projects', tab: 'tabs' };
+
+/**
+ * Parses the map file. Returns { layouts, errors } where layouts maps
+ * room ids to { grid, placements, features, districts } (the shape of
+ * generateLayout) and errors lists readable messages.
+ */
+export function parseMapFile(mapFile, exploreData) {
+  const layouts = new Map();
+  const errors = [];
+  const rooms = (mapFile && mapFile.rooms) || {};
+
+  for (const [id, spec] of Object.entries(rooms)) {
+    const roomErrors = [];
+    const layout = parseRoom(id, spec || {}, exploreData || {}, roomErrors);
+    if (roomErrors.length) errors.push(...roomErrors.map((msg) => `rooms.${id}: ${msg}`));
+    else layouts.set(id, layout);
+  }
+  return { layouts, errors };
+}
+
+// "door:workshop" -> { kind: 'door', arg: 'workshop' }. Only the first
+// colon splits, so arguments can be URLs
+function parseTileName(value) {
+  const [kind, ...rest] = String(value).split(':');
+  return { kind, arg: rest.length ? rest.join(':') : null };
+}
+
+function at(col, row) {
+  return `(${col}, ${row})`;
+}
+
+function parseRoom(id, spec, exploreData, errors) {
+  const room = ROOMS.find((r) => r.id === id);
+  if (!room) {
+    errors.push(`unknown room (rooms are ${ROOMS.map((r) => r.id).join(', ')})`);
+    return null;
+  }
+
+  // --- Legend ---
+  const legend = {};
+  for (const [ch, value] of Object.entries({ ...DEFAULT_LEGEND, ...spec.legend })) {
+    const entry = parseTileName(value);
+    if (ch.length !== 1) errors.push(`legend key "${ch}" must be a single character`);
+    else if (legendTile(value) === null) errors.push(`legend "${ch}": unknown tile type "${value}"`);
+    else if (entry.kind === 'door' && !ROOMS.some((r) => r.id === entry.arg)) {
+      errors.push(`legend "${ch}": door leads to unknown room "${entry.arg}"`);
+    } else legend[ch] = entry;
+  }
+
+  // --- Tiles ---
+  if (typeof spec.tiles !== 'string') {
+    errors.push('"tiles" is missing');
+    return null;
+  }
+  const lines = spec.tiles.replace(/\s+$/, '').split('\n');
+  const cols = lines[0].length;
+  const rows = lines.length;
+  lines.forEach((line, r) => {
+    if (line.length !== cols) errors.push(`row ${r} has ${line.length} tiles, expected ${cols}`);
+  });
+  if (errors.length) return null;
+
+  const grid = [];
+  const slots = { post: [], project: [], tab: [] };
+  const features = [];
+  const signs = [];
+  const custom = [];   // registered tiles
+  lines.forEach((line, r) => {
+    const row = [];
+    [...line].forEach((ch, c) => {
+      const entry = legend[ch];
+      if (!entry) {
+        errors.push(`unknown tile "${ch}" at ${at(c, r)}`);
+        row.push(TILE.GRASS);
+        return;
+      }
+      row.push(legendTile(entry.kind));
+      if (CONTENT_KINDS.includes(entry.kind)) slots[entry.kind].push({ col: c, row: r });
+      else if (FEATURE_KINDS.includes(entry.kind)) {
+        features.push(entry.arg ? { col: c, row: r, kind: entry.kind, room: entry.arg } : { col: c, row: r, kind: entry.kind });
+      } else if (entry.kind === 'sign') signs.push({ col: c, row: r, tag: entry.arg });
+      else if (tileTypeNamed(entry.kind)) custom.push({ col: c, row: r, kind: entry.kind, arg: entry.arg });
+    });
+    grid.push(row);
+  });
+
+  // --- Decoration layers ---
+  (spec.decorations || []).forEach((layer, i) => {
+    String(layer).replace(/\s+$/, '').split('\n').forEach((line, r) => {
+      [...line].forEach((ch, c) => {
+        if (ch === '.' || ch === ' ') return;
+        if (!inBounds(grid, c, r)) errors.push(`decorations[${i}] at ${at(c, r)} is outside the ${cols}x${rows} grid`);
+        else if (grid[r][c] !== TILE.GRASS && grid[r][c] !== TILE.PATH) {
+          errors.push(`decorations[${i}] at ${at(c, r)} covers a content or feature tile`);
+        } else grid[r][c] = TILE.DECO;
+      });
+    });
+  });
+
+  // --- Content: pinned slots first, then the rest in order ---
+  const items = room.content.flatMap((kind) =>
+    (exploreData[SOURCE_KEYS[kind]] || []).map((entry, index) => ({ kind, index, url: entry.url }))
+  );
+  for (const kind of CONTENT_KINDS) {
+    if (slots[kind].length && !room.content.includes(kind)) {
+      errors.push(`has ${kind} tiles, but ${kind}s belong in another room`);
+    }
+  }
+
+  const placements = [];
+  const pinned = new Set();
+  for (const [name, slot] of Object.entries(spec.slots || {})) {
+    const [col, row] = Array.isArray(slot && slot.at) ? slot.at : [];
+    const item = items.find((it) => it.url === (slot && slot.url));
+    if (!Number.isInteger(col) || !Number.isInteger(row)) {
+      errors.push(`slot "${name}" needs "at: [col, row]"`);
+    } else if (!inBounds(grid, col, row)) {
+      errors.push(`slot "${name}" at ${at(col, row)} is outside the ${cols}x${rows} grid`);
+    } else if (!item) {
+      errors.push(`slot "${name}": no ${room.content.join(' or ') || 'content'} with url "${slot.url}" in this room`);
+    } else if (!isWalkable(grid[row][col])) {
+      errors.push(`slot "${name}" at ${at(col, row)} is on an obstacle`);
+    } else {
+      // A pinned slot may sit on a generic slot; that slot is then used up
+      for (const kind of CONTENT_KINDS) {
+        slots[kind] = slots[kind].filter((s) => s.col !== col || s.row !== row);
+      }
+      grid[row][col] = TILE_NAMES[item.kind];
+      placements.push({ col, row, kind: item.kind, index: item.index });
+      pinned.add(item);
+    }
+  }
+
+  for (const kind of room.content) {
+    const rest = items.filter((it) => it.kind === kind && !pinned.has(it));
+    if (rest.length > slots[kind].length) {
+      errors.push(`${rest.length} ${kind}s to place but only ${slots[kind].length} ${kind} tiles`);
+      continue;
+    }
+    rest.forEach((item, i) => placements.push({ ...slots[kind][i], kind, index: item.index }));
+    slots[kind].slice(rest.length).forEach(({ col, row }) => { grid[row][col] = TILE.PATH; });
+  }
+
+  // --- Features ---
+  const spawns = features.filter((f) => f.kind === 'spawn');
+  if (id === START_ROOM && spawns.length !== 1) {
+    errors.push(`needs exactly one spawn tile, found ${spawns.length}`);
+  }
+  if (id !== START_ROOM && !features.some((f) => f.kind === 'door' && f.room === START_ROOM)) {
+    errors.push(`needs a door back to ${START_ROOM}`);
+  }
+
+  // --- Districts (signposts only; hand-made maps are not tinted) ---
+  const tags = exploreData.tags || [];
+  const districts = [];
+  for (const sign of signs) {
+    const tag = tags.find((t) => t.name === sign.tag);
+    if (!tag) {
+      errors.push(`signpost at ${at(sign.col, sign.row)} names unknown tag "${sign.tag}"`);
+      continue;
+    }
+    districts.push({
+      name: tag.name,
+      description: tag.description || '',
+      color: tag.color || null,
+      sign: { col: sign.col, row: sign.row },
+      rects: [],
+    });
+  }
+
+  // --- Reachability from where the player arrives ---
+  const entry = spawns[0] || features.find((f) => f.kind === 'door');
+  if (entry) {
+    const reachable = reachableTiles(grid, entry.col, entry.row);
+    for (const { col, row, kind } of [...placements, ...features]) {
+      if (!reachable.has(`${col},${row}`)) errors.push(`${kind} tile at ${at(col, row)} can't be reached`);
+    }
+    const near = (col, row) => [[0, -1], [0, 1], [-1, 0], [1, 0]].some(([dc, dr]) => reachable.has(`${col + dc},${row + dr}`));
+    for (const { col, row } of signs) {
+      if (!near(col, row)) errors.push(`signpost at ${at(col, row)} can't be reached`);
+    }
+    // Registered obstacles are used from a neighboring tile, like signposts
+    for (const { col, row, kind } of custom) {
+      const ok = isWalkable(grid[row][col]) ? reachable.has(`${col},${row}`) : near(col, row);
+      if (!ok) errors.push(`${kind} tile at ${at(col, row)} can't be reached`);
+    }
+  }
+
+  return { grid, placements, features: [...features, ...custom], districts };
+}
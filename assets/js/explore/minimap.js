@@ -0,0 +1,94 @@
+/**
+ * minimap.js — Whole-room overview in the HUD
+ *
+ * Draws the current room one small square per tile on a 2D canvas, with
+ * content colored from the theme palette (faded once opened) and the
+ * character on top. Clicking it reports the tile under the pointer.
+ */
+
+import { TILE } from './map.js';
+import { tileColor, tileTypeById } from './tiletypes.js';
+
+const MAX_SIZE = 180;   // CSS px, longest side
+const MIN_CELL = 2;     // CSS px per tile
+
+// Palette key for each tile type
+const TILE_COLORS = {
+  [TILE.GRASS]:   'grass1',
+  [TILE.PATH]:    'path1',
+  [TILE.DECO]:    'deco1',
+  [TILE.BLOG]:    'blog',
+  [TILE.PROJECT]: 'project',
+  [TILE.ABOUT]:   'about',
+  [TILE.EXIT]:    'exit',
+  [TILE.SPAWN]:   'path2',
+  [TILE.SIGN]:    'deco2',
+  [TILE.DOOR]:    'deco2',
+};
+
+const VISITED_ALPHA = 0.35;
+
+/**
+ * Creates the minimap on a canvas element.
+ *   palette         — active PALETTES entry
+ *   isVisited(key)  — true if the content at "col,row" has been opened
+ *   onPick(col, row)— called when the map is clicked
+ *
+ * Returns { setRoom(room), setPalette(palette), draw(col, row) } where
+ * draw marks the character's tile.
+ */
+export function createMinimap(canvas, { palette, isVisited, onPick }) {
+  const ctx = canvas.getContext('2d');
+  let room = null;
+  let cell = MIN_CELL;
+
+  function setRoom(nextRoom) {
+    room = nextRoom;
+    const cols = room.grid[0].length;
+    const rows = room.grid.length;
+    cell = Math.max(MIN_CELL, Math.floor(MAX_SIZE / Math.max(cols, rows)));
+
+    const ratio = Math.min(window.devicePixelRatio || 1, 2);
+    canvas.width = cols * cell * ratio;
+    canvas.height = rows * cell * ratio;
+    canvas.style.width = `${cols * cell}px`;
+    canvas.style.height = `${rows * cell}px`;
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+  }
+
+  function setPalette(nextPalette) {
+    palette = nextPalette;
+  }
+
+  function draw(charCol, charRow) {
+    if (!room) return;
+    room.grid.forEach((tiles, r) => {
+      tiles.forEach((tileType, c) => {
+        const key = `${c},${r}`;
+        ctx.globalAlpha = 1;
+        ctx.fillStyle = palette.grass1;
+        ctx.fillRect(c * cell, r * cell, cell, cell);
+        if (isVisited(key)) ctx.globalAlpha = VISITED_ALPHA;
+        const custom = tileTypeById(tileType);
+        ctx.fillStyle = custom ? tileColor(custom, palette) : palette[TILE_COLORS[tileType]] || palette.grass1;
+        ctx.fillRect(c * cell, r * cell, cell, cell);
+      });
+    });
+
+    // Character, outlined so it shows on any tile
+    ctx.globalAlpha = 1;
+    ctx.fillStyle = palette.label;
+    ctx.fillRect(charCol * cell - 1, charRow * cell - 1, cell + 2, cell + 2);
+    ctx.fillStyle = palette.char1;
+    ctx.fillRect(charCol * cell, charRow * cell, cell, cell);
+  }
+
+  canvas.addEventListener('click', (e) => {
+    if (!room) return;
+    e.stopPropagation();
+    const rect = canvas.getBoundingClientRect();
+    onPick(Math.floor((e.clientX - rect.left) / cell), Math.floor((e.clientY - rect.top) / cell));
+  });
+
+  return { setRoom, setPalette, draw };
+}
@@ -0,0 +1,52 @@
+/**
+ * motion.js — Reduced-motion preference for the explore experience
+ *
+ * Follows the OS prefers-reduced-motion setting until the player flips the
+ * HUD toggle; that choice is saved and wins over the OS from then on.
+ */
+
+const STORAGE_KEY = 'explore-motion';   // 'reduced' | 'full'
+
+function readOverride() {
+  const value = localStorage.getItem(STORAGE_KEY);
+  return value === 'reduced' || value === 'full' ? value : null;
+}
+
+/**
+ * Creates the motion setting:
+ *   reduced        — true when animation should be skipped
+ *   toggle()       — flips the setting and saves it as an override
+ *   onChange(fn)   — calls fn(reduced) whenever the setting changes
+ */
+export function createMotionSetting() {
+  const query = window.matchMedia?.('(prefers-reduced-motion: reduce)');
+  let override = readOverride();
+  const listeners = [];
+
+  function reduced() {
+    return override ? override === 'reduced' : Boolean(query?.matches);
+  }
+
+  function notify() {
+    listeners.forEach((fn) => fn(reduced()));
+  }
+
+  // The OS setting only matters while there is no override
+  query?.addEventListener?.('change', () => {
+    if (!override) notify();
+  });
+
+  return {
+    get reduced() { return reduced(); },
+
+    toggle() {
+      override = reduced() ? 'full' : 'reduced';
+      localStorage.setItem(STORAGE_KEY, override);
+      notify();
+    },
+
+    onChange(fn) {
+      listeners.push(fn);
+    },
+  };
+}
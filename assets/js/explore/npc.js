@@ -0,0 +1,437 @@
+/**
+ * npc.js — Characters who live in the rooms and talk to the reader
+ *
+ * The site injects _data/explore_npcs.yml as EXPLORE_DATA.npcs:
+ *
+ *   npcs:
+ *     barista:
+ *       name: Barista
+ *       room: hall
+ *       at: [3, 4]           # optional [col, row] of a free walkable tile,
+ *                            # 0-based; by default next to the spawn (or
+ *                            # the door to the hall)
+ *       themes: [beige]      # optional, only shows in these themes
+ *       look:                # optional, as in the avatar picker
+ *         hair: long
+ *         outfit: project
+ *       moves: wander        # idle (default) or wander
+ *       radius: 2            # how far a wanderer strays from its tile
+ *       dialogue:            # nodes by id; talking starts at "start"
+ *         start:
+ *           text: "Fresh today: {posts.0.title}"
+ *           choices:
+ *             - label: Walk me there
+ *               walk: posts.0   # or open:, to show it in the panel
+ *             - label: What else?
+ *               next: more
+ *             - label: Bye       # no next or action ends the talk
+ *
+ * {path} in a text and the walk/open targets are dotted paths into
+ * EXPLORE_DATA (posts.0 is the newest post). Choices whose target is
+ * missing are left out. An NPC with errors is left out of the world,
+ * and the errors are returned for the console.
+ *
+ * createNpcLayer draws a room's NPCs, walks the wanderers around and
+ * tells game.js which tiles they block.
+ */
+
+import { TILE, ROOMS, START_ROOM, findDoor, findSpawn, inBounds, isWalkable } from './map.js';
+import { AVATAR_OPTIONS, DEFAULT_AVATAR } from './avatar.js';
+import { createCharacterTextures } from './tiles.js';
+import { facing } from './core.js';
+
+const PIXI = window.PIXI;
+
+const MOVES = ['idle', 'wander'];
+const DEFAULT_RADIUS = 2;
+const PATH_PATTERN = /^[\w-]+(\.[\w-]+)*$/;
+const PLACEHOLDER = /\{([\w.-]+)\}/g;
+
+const WANDER_PAUSE = [1500, 4500];   // ms between steps, min and max
+const WANDER_STEP_MS = 320;          // ms per tile; slower than the reader
+const ANIM_FRAME_RATE = 180;         // ms per walk frame
+const IDLE_FRAME_RATE = 700;         // ms per idle frame
+
+const STEPS = [[0, -1], [0, 1], [-1, 0], [1, 0]];
+
+// Tiles tried around the spawn for an NPC without "at": the corners
+// first, since generated rooms keep them open and the sides are streets
+const AROUND = [[1, -1], [-1, -1], [1, 1], [-1, 1], [1, 0], [-1, 0], [0, -1], [0, 1]];
+
+/* ============================================
+   NPC File
+   ============================================ */
+
+/**
+ * Parses the NPC file against the built rooms (from buildWorld).
+ * Returns { npcs, errors }; npcs are { id, name, room, col, row, themes,
+ * look, moves, radius, dialogue }.
+ */
+export function parseNpcFile(npcFile, rooms) {
+  const npcs = [];
+  const errors = [];
+  const entries = (npcFile && npcFile.npcs) || {};
+  const taken = new Set();   // "room:col,row" of NPCs placed so far
+
+  for (const [id, spec] of Object.entries(entries)) {
+    const npcErrors = [];
+    const npc = parseNpc(id, spec || {}, rooms, taken, npcErrors);
+    const spot = npc && `${npc.room}:${npc.col},${npc.row}`;
+    if (npc && taken.has(spot)) npcErrors.push(`another NPC already stands at [${npc.col}, ${npc.row}]`);
+    if (npcErrors.length) {
+      errors.push(...npcErrors.map((msg) => `npcs.${id}: ${msg}`));
+    } else {
+      taken.add(spot);
+      npcs.push(npc);
+    }
+  }
+  return { npcs, errors };
+}
+
+// Whether an NPC may stand on a tile; returns the reason it can't, or null
+function spotProblem(room, col, row) {
+  if (!inBounds(room.grid, col, row)) return 'is outside the room';
+  if (!isWalkable(room.grid[row][col])) return 'is not walkable';
+  if (room.contentMap.has(`${col},${row}`)) return 'has content on it';
+  if (room.grid[row][col] === TILE.SPAWN) return 'is the spawn';
+  return null;
+}
+
+// First free tile around the spawn, or the door to the hall outside it
+function besideSpawn(room, taken) {
+  const center = room.id === START_ROOM ? findSpawn(room.grid) : findDoor(room, START_ROOM);
+  if (!center) return null;
+  for (const [dc, dr] of AROUND) {
+    const col = center.col + dc;
+    const row = center.row + dr;
+    if (!spotProblem(room, col, row) && !taken.has(`${room.id}:${col},${row}`)) return { col, row };
+  }
+  return null;
+}
+
+function parseNpc(id, spec, rooms, taken, errors) {
+  const room = rooms.get(spec.room);
+  if (!room) {
+    errors.push(`unknown room "${spec.room}" (rooms are ${ROOMS.map((r) => r.id).join(', ')})`);
+    return null;
+  }
+
+  // --- Placement ---
+  let col;
+  let row;
+  if (spec.at === undefined) {
+    const spot = besideSpawn(room, taken);
+    if (!spot) {
+      errors.push('no free tile next to the spawn; give "at"');
+      return null;
+    }
+    ({ col, row } = spot);
+  } else {
+    [col, row] = Array.isArray(spec.at) ? spec.at : [];
+    if (!Number.isInteger(col) || !Number.isInteger(row)) {
+      errors.push('"at" must be [col, row]');
+      return null;
+    }
+    const problem = spotProblem(room, col, row);
+    if (problem) errors.push(`[${col}, ${row}] ${problem}`);
+  }
+
+  // --- Look and movement ---
+  const look = { ...DEFAULT_AVATAR };
+  for (const [part, value] of Object.entries(spec.look || {})) {
+    if (!AVATAR_OPTIONS[part]) errors.push(`look: unknown part "${part}"`);
+    else if (!AVATAR_OPTIONS[part].some(([option]) => option === value)) errors.push(`look.${part}: unknown "${value}"`);
+    else look[part] = value;
+  }
+
+  const moves = spec.moves ?? 'idle';
+  if (!MOVES.includes(moves)) errors.push(`moves must be ${MOVES.join(' or ')}`);
+  const radius = spec.radius ?? DEFAULT_RADIUS;
+  if (!Number.isInteger(radius) || radius < 1) errors.push('radius must be a whole number of tiles');
+
+  const themes = spec.themes ? [].concat(spec.themes).map(String) : null;
+
+  // --- Dialogue ---
+  const dialogue = parseDialogue(spec.dialogue, errors);
+
+  return {
+    id,
+    name: spec.name ? String(spec.name) : id,
+    room: room.id,
+    col,
+    row,
+    themes,
+    look,
+    moves,
+    radius,
+    dialogue,
+  };
+}
+
+function parseDialogue(spec, errors) {
+  const nodes = spec || {};
+  if (!nodes.start) errors.push('dialogue needs a "start" node');
+
+  const dialogue = {};
+  for (const [nodeId, node] of Object.entries(nodes)) {
+    const where = `dialogue.${nodeId}`;
+    if (typeof node?.text !== 'string') {
+      errors.push(`${where}: "text" is missing`);
+      continue;
+    }
+    const choices = node.choices || [];
+    if (!Array.isArray(choices)) {
+      errors.push(`${where}: "choices" must be a list`);
+      continue;
+    }
+    choices.forEach((choice, i) => {
+      if (typeof choice?.label !== 'string') errors.push(`${where}.choices.${i}: "label" is missing`);
+      if (choice?.next !== undefined && !(choice.next in nodes)) {
+        errors.push(`${where}.choices.${i}: no node "${choice.next}"`);
+      }
+      for (const action of ['walk', 'open']) {
+        if (choice?.[action] !== undefined && !isDataPath(choice[action])) {
+          errors.push(`${where}.choices.${i}: ${action} "${choice[action]}" is not a data path`);
+        }
+      }
+    });
+    dialogue[nodeId] = { text: node.text, choices };
+  }
+  return dialogue;
+}
+
+/* ============================================
+   Dialogue
+   ============================================ */
+
+/** Whether path is a dotted data path such as "posts.0.title". */
+export function isDataPath(path) {
+  return typeof path === 'string' && PATH_PATTERN.test(path);
+}
+
+/**
+ * Follows a dotted path ("posts.0.title") into data. Returns undefined
+ * where the path leads nowhere.
+ */
+export function resolvePath(data, path) {
+  return String(path).split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+/** Replaces each {path} in text with its value from data. */
+export function fillText(text, data) {
+  return text.replace(PLACEHOLDER, (_, path) => {
+    const value = resolvePath(data, path);
+    return value == null || typeof value === 'object' ? '' : String(value);
+  });
+}
+
+/**
+ * Returns a dialogue node ready to show: { text, choices }, where each
+ * choice is { label, next, walk, open } and walk/open are the content
+ * entries they point at. canWalk(url) says whether a walk target is
+ * somewhere in the world.
+ */
+export function dialogueNode(npc, nodeId, data, canWalk) {
+  const node = npc.dialogue[nodeId];
+  const target = (path) => {
+    const item = path === undefined ? undefined : resolvePath(data, path);
+    return item && typeof item.url === 'string' ? item : null;
+  };
+
+  const choices = [];
+  for (const choice of node.choices) {
+    const walk = target(choice.walk);
+    const open = target(choice.open);
+    if (choice.walk !== undefined && !(walk && canWalk(walk.url))) continue;
+    if (choice.open !== undefined && !open) continue;
+    choices.push({ label: fillText(choice.label, data), next: choice.next ?? null, walk, open });
+  }
+  return { text: fillText(node.text, data), choices };
+}
+
+/* ============================================
+   NPC Layer
+   ============================================ */
+
+function randomBetween([min, max]) {
+  return min + Math.random() * (max - min);
+}
+
+/**
+ * Creates the NPC layer:
+ *   container            — add to the world under the tree tops
+ *   setRoom(npcs, grid, isFree) — places a room's NPCs on their tiles.
+ *                          isFree(col, row) says whether a wanderer may
+ *                          step there (no content, not the reader)
+ *   setNpcs(npcs)        — changes which of the room's NPCs show (on a
+ *                          theme switch), leaving the others be
+ *   setPalette(palette)  — redraws the NPCs in a theme's colors
+ *   npcAt(col, row)      — the NPC standing on or walking onto a tile
+ *   where(npc)           — the { col, row } an NPC stands on or walks to
+ *   neighbor(col, row, dir) — an NPC next to a tile, preferring the one
+ *                          in direction dir
+ *   turnToward(npc, col, row) — faces an NPC toward a tile
+ *   hold(npc)            — stops an NPC wandering until hold(null)
+ *   figures()            — { x, y, dir, color } per NPC, for the 3D view
+ *   update(dt, time, still) — walks wanderers; still holds everyone
+ */
+export function createNpcLayer({ palette, tileSize }) {
+  const container = new PIXI.Container();
+  let placed = [];       // { npc, col, row, dir, sprite, from, progress, wait, frame, animTimer }
+  let isFree = () => false;
+  let held = null;
+  let roomGrid = null;
+  const frames = new Map();   // npc id -> createCharacterTextures
+
+  function framesFor(npc) {
+    if (!frames.has(npc.id)) frames.set(npc.id, createCharacterTextures(palette, npc.look));
+    return frames.get(npc.id);
+  }
+
+  function clearFrames() {
+    for (const set of frames.values()) {
+      Object.values(set).forEach(({ walk, idle }) => [...walk, ...idle].forEach((t) => t.destroy(true)));
+    }
+    frames.clear();
+  }
+
+  // Puts an NPC on its own tile
+  function place(npc) {
+    const sprite = new PIXI.Sprite(framesFor(npc).down.idle[0]);
+    sprite.width = tileSize;
+    sprite.height = tileSize;
+    container.addChild(sprite);
+    const entry = {
+      npc,
+      grid: roomGrid,
+      col: npc.col,
+      row: npc.row,
+      dir: 'down',
+      sprite,
+      from: null,
+      progress: 0,
+      wait: randomBetween(WANDER_PAUSE),
+      frame: 0,
+      animTimer: 0,
+    };
+    position(entry);
+    return entry;
+  }
+
+  function setRoom(npcs, grid, freeCheck) {
+    container.removeChildren().forEach((child) => child.destroy());
+    roomGrid = grid;
+    isFree = freeCheck;
+    held = null;
+    placed = npcs.map(place);
+  }
+
+  // NPCs who stay keep their tile, their step and hold
+  function setNpcs(npcs) {
+    for (const entry of placed.filter((e) => !npcs.includes(e.npc))) {
+      container.removeChild(entry.sprite);
+      entry.sprite.destroy();
+      if (held === entry.npc) held = null;
+    }
+    placed = npcs.map((npc) => placed.find((e) => e.npc === npc) || place(npc));
+  }
+
+  function setPalette(nextPalette) {
+    palette = nextPalette;
+    clearFrames();
+    for (const entry of placed) entry.sprite.texture = framesFor(entry.npc)[entry.dir].idle[0];
+  }
+
+  function position(entry) {
+    const t = entry.from ? entry.progress : 1;
+    const fromCol = entry.from ? entry.from.col : entry.col;
+    const fromRow = entry.from ? entry.from.row : entry.row;
+    entry.sprite.x = (fromCol + (entry.col - fromCol) * t) * tileSize;
+    entry.sprite.y = (fromRow + (entry.row - fromRow) * t) * tileSize;
+  }
+
+  // A wanderer blocks both ends of the step it is taking
+  function npcAt(col, row) {
+    return placed.find((e) => (e.col === col && e.row === row)
+      || (e.from && e.from.col === col && e.from.row === row))?.npc || null;
+  }
+
+  function where(npc) {
+    const entry = placed.find((e) => e.npc === npc);
+    return entry ? { col: entry.col, row: entry.row } : null;
+  }
+
+  function neighbor(col, row, dir) {
+    const near = placed.filter((e) => Math.max(Math.abs(e.col - col), Math.abs(e.row - row)) === 1);
+    const ahead = near.find((e) => facing(e.col - col, e.row - row) === dir);
+    return (ahead || near[0])?.npc || null;
+  }
+
+  function turnToward(npc, col, row) {
+    const entry = placed.find((e) => e.npc === npc);
+    if (!entry || (entry.col === col && entry.row === row)) return;
+    entry.dir = facing(col - entry.col, row - entry.row);
+  }
+
+  function hold(npc) {
+    held = npc;
+  }
+
+  // A random step that keeps the wanderer near its tile
+  function pickStep(entry) {
+    const { npc, grid } = entry;
+    const options = STEPS.filter(([dc, dr]) => {
+      const c = entry.col + dc;
+      const r = entry.row + dr;
+      return inBounds(grid, c, r) && isWalkable(grid[r][c])
+        && Math.abs(c - npc.col) <= npc.radius && Math.abs(r - npc.row) <= npc.radius
+        && !npcAt(c, r) && isFree(c, r);
+    });
+    return options.length ? options[Math.floor(Math.random() * options.length)] : null;
+  }
+
+  function update(dt, time, still) {
+    for (const entry of placed) {
+      const set = framesFor(entry.npc)[entry.dir];
+
+      if (entry.from) {
+        entry.progress += dt / WANDER_STEP_MS;
+        entry.animTimer += dt;
+        if (entry.animTimer > ANIM_FRAME_RATE) {
+          entry.animTimer = 0;
+          entry.frame = (entry.frame + 1) % set.walk.length;
+        }
+        if (entry.progress >= 1) entry.from = null;
+        position(entry);
+        entry.sprite.texture = entry.from ? set.walk[entry.frame] : set.idle[0];
+        continue;
+      }
+
+      entry.sprite.texture = set.idle[still ? 0 : Math.floor(time / IDLE_FRAME_RATE) % set.idle.length];
+      if (still || entry.npc.moves !== 'wander' || entry.npc === held) continue;
+
+      entry.wait -= dt;
+      if (entry.wait > 0) continue;
+      entry.wait = randomBetween(WANDER_PAUSE);
+      const step = pickStep(entry);
+      if (!step) continue;
+      entry.from = { col: entry.col, row: entry.row };
+      entry.col += step[0];
+      entry.row += step[1];
+      entry.dir = facing(step[0], step[1]);
+      entry.progress = 0;
+      entry.frame = 0;
+    }
+  }
+
+  function figures() {
+    return placed.map((e) => ({
+      x: e.sprite.x / tileSize,
+      y: e.sprite.y / tileSize,
+      dir: e.dir,
+      color: palette[e.npc.look.outfit],
+    }));
+  }
+
+  return { container, setRoom, setNpcs, setPalette, npcAt, where, neighbor, turnToward, hold, figures, update };
+}
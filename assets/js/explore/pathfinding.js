@@ -0,0 +1,154 @@
+/**
+ * pathfinding.js — Weighted A* over a tile grid
+ *
+ * Knows nothing about tile types: the caller passes a cost per tile
+ * (Infinity for blocked tiles). map.js wraps this as findPath.
+ */
+
+const SQRT2 = Math.SQRT2;
+
+const ORTHOGONAL = [[0, -1], [0, 1], [-1, 0], [1, 0]];
+const DIAGONAL = [[-1, -1], [1, -1], [-1, 1], [1, 1]];
+
+/* ============================================
+   Binary Heap
+   ============================================ */
+
+/**
+ * Min-heap of items ordered by a numeric priority.
+ * Returns { push(item, priority), pop(), get size }.
+ */
+export function createMinHeap() {
+  const items = [];
+  const priorities = [];
+
+  function swap(i, j) {
+    [items[i], items[j]] = [items[j], items[i]];
+    [priorities[i], priorities[j]] = [priorities[j], priorities[i]];
+  }
+
+  function siftUp(i) {
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (priorities[parent] <= priorities[i]) break;
+      swap(i, parent);
+      i = parent;
+    }
+  }
+
+  function siftDown(i) {
+    const n = items.length;
+    for (;;) {
+      const left = i * 2 + 1;
+      const right = left + 1;
+      let smallest = i;
+      if (left < n && priorities[left] < priorities[smallest]) smallest = left;
+      if (right < n && priorities[right] < priorities[smallest]) smallest = right;
+      if (smallest === i) break;
+      swap(i, smallest);
+      i = smallest;
+    }
+  }
+
+  return {
+    get size() { return items.length; },
+
+    push(item, priority) {
+      items.push(item);
+      priorities.push(priority);
+      siftUp(items.length - 1);
+    },
+
+    /** Removes and returns the item with the lowest priority. */
+    pop() {
+      const top = items[0];
+      const last = items.pop();
+      const lastPriority = priorities.pop();
+      if (items.length > 0) {
+        items[0] = last;
+        priorities[0] = lastPriority;
+        siftDown(0);
+      }
+      return top;
+    },
+  };
+}
+
+/* ============================================
+   A*
+   ============================================ */
+
+// Octile distance: exact for an empty grid with unit cost
+function octile(dc, dr) {
+  const a = Math.abs(dc);
+  const b = Math.abs(dr);
+  return Math.max(a, b) + (SQRT2 - 1) * Math.min(a, b);
+}
+
+/**
+ * Finds the cheapest path on a cols x rows grid.
+ *   cost(col, row)  — cost of stepping onto a tile, at least minCost;
+ *                     Infinity if blocked
+ *   minCost         — cheapest tile cost, keeps the heuristic admissible
+ *   diagonal        — allow diagonal steps; they cost SQRT2 times the
+ *                     tile cost and may not cut past a blocked corner
+ *   isGoal(col,row) — optional; any tile it accepts ends the search
+ *                     (defaults to the goal tile itself)
+ *   slack           — how far from goal the tiles isGoal accepts may be,
+ *                     so the heuristic never overestimates
+ *
+ * Returns [{col, row}] steps excluding start and including the goal, or
+ * [] if there is no path.
+ */
+export function aStar({ cols, rows, start, goal, cost, minCost = 1, diagonal = false, isGoal, slack = 0 }) {
+  const index = (c, r) => r * cols + c;
+  const reached = isGoal || ((c, r) => c === goal.col && r === goal.row);
+  const heuristic = (c, r) => Math.max(0, octile(goal.col - c, goal.row - r) - slack) * minCost;
+  const blocked = (c, r) => c < 0 || r < 0 || c >= cols || r >= rows || cost(c, r) === Infinity;
+
+  const startIndex = index(start.col, start.row);
+  const gScore = new Float64Array(cols * rows).fill(Infinity);
+  const parent = new Int32Array(cols * rows);
+  const closed = new Uint8Array(cols * rows);
+  gScore[startIndex] = 0;
+
+  const open = createMinHeap();
+  open.push({ col: start.col, row: start.row }, heuristic(start.col, start.row));
+
+  const moves = diagonal ? [...ORTHOGONAL, ...DIAGONAL] : ORTHOGONAL;
+
+  while (open.size > 0) {
+    const current = open.pop();
+    const ci = index(current.col, current.row);
+    if (closed[ci]) continue;   // stale heap entry
+    closed[ci] = 1;
+
+    if (ci !== startIndex && reached(current.col, current.row)) {
+      const path = [];
+      for (let i = ci; i !== startIndex; i = parent[i]) {
+        path.push({ col: i % cols, row: Math.floor(i / cols) });
+      }
+      return path.reverse();
+    }
+
+    for (const [dc, dr] of moves) {
+      const nc = current.col + dc;
+      const nr = current.row + dr;
+      if (blocked(nc, nr)) continue;
+      const isDiagonal = dc !== 0 && dr !== 0;
+      // No squeezing between or around obstacles
+      if (isDiagonal && (blocked(current.col + dc, current.row) || blocked(current.col, current.row + dr))) continue;
+
+      const ni = index(nc, nr);
+      if (closed[ni]) continue;
+      const g = gScore[ci] + cost(nc, nr) * (isDiagonal ? SQRT2 : 1);
+      if (g >= gScore[ni]) continue;
+
+      gScore[ni] = g;
+      parent[ni] = ci;
+      open.push({ col: nc, row: nr }, g + heuristic(nc, nr));
+    }
+  }
+
+  return [];
+}
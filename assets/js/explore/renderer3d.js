@@ -0,0 +1,264 @@
+/**
+ * renderer3d.js — Optional 3D view of the explore grid using the .glb models
+ *
+ * Draws the same room grids the pixel view uses, with Three.js (loaded from
+ * the CDN on first use) and the model sets in assets/models: cafe for
+ * beige, cyberpunk for dark, clouds for light. It only draws and turns
+ * clicks into tiles; walking, content and the panel stay in game.js.
+ *
+ * createRenderer3D rejects if Three.js, WebGL or any model fails to load,
+ * so the caller can stay on the pixel view.
+ */
+
+import { tileTextureKey } from './tiles.js';
+import { tileColor, tileTypeById } from './tiletypes.js';
+
+const MODELS_URL = new URL('../../models/', import.meta.url);
+
+const VIEW_TILES = 9;          // tiles visible top to bottom at zoom 1
+const DECO_FOOTPRINT = 0.8;    // share of a tile an obstacle model covers
+const MARKER_FOOTPRINT = 0.4;  // share of a tile a content marker covers
+const MARKER_HEIGHT = 1.1;     // content markers float above the floor
+const MARKER_SPIN = 0.0015;    // rad per ms
+
+// Models per theme. Content kinds without a model get a gem marker.
+const MODEL_SETS = {
+  beige: {
+    dir: 'cafe',
+    deco: ['pottedPlant', 'plantSmall1', 'plantSmall2', 'bookcaseClosed', 'coatRackStanding', 'lampRoundFloor'],
+    sign: 'bookcaseOpen',
+    blog: 'books',
+    project: 'kitchenCoffeeMachine',
+    about: 'loungeChair',
+  },
+  dark: {
+    dir: 'cyberpunk',
+    deco: ['trashcan', 'cardboardBoxClosed', 'cardboardBoxOpen'],
+    sign: 'computerScreen',
+    blog: 'computerScreen',
+  },
+  light: {
+    dir: 'clouds',
+    deco: ['pottedPlant', 'plantSmall1'],
+    sign: 'benchCushion',
+  },
+};
+
+const CONTENT_KEYS = ['blog', 'project', 'about'];
+
+// Floor color for each texture key
+function floorColor(key, palette) {
+  switch (key) {
+    case 'path':    return palette.path1;
+    case 'blog':    return palette.blog;
+    case 'project': return palette.project;
+    case 'about':   return palette.about;
+    case 'exit':    return palette.exit;
+    case 'spawn':   return palette.path2;
+    case 'door':    return palette.deco2;
+    default:        return palette.grass1;
+  }
+}
+
+/**
+ * Loads Three.js and a model set (beige, dark or light; other themes use
+ * their built-in base's), then returns a renderer:
+ *   canvas                 — the WebGL canvas (caller adds it to the page)
+ *   setRoom(room)          — rebuilds the scene for a room from buildWorld
+ *   resize(width, height)  — matches the canvas to the window
+ *   render({ x, y, dir, zoom, dt, npcs }) — draws a frame with the
+ *                            character at fractional tile (x, y) facing
+ *                            dir, and npcs ({ x, y, dir, color }) around
+ *   pick(clientX, clientY) — returns the {col, row} under a click, or null
+ *   destroy()              — frees the WebGL context and removes the canvas
+ */
+export async function createRenderer3D({ modelSet, palette, districtTint }) {
+  const THREE = await import('three');
+  const { GLTFLoader } = await import('three/addons/loaders/GLTFLoader.js');
+
+  const set = MODEL_SETS[modelSet] || MODEL_SETS.beige;
+
+  // --- Models ---
+  const names = [...new Set([
+    ...set.deco,
+    set.sign,
+    ...CONTENT_KEYS.map((key) => set[key]),
+  ].filter(Boolean))];
+
+  const loader = new GLTFLoader();
+  const models = new Map(await Promise.all(names.map(async (name) => {
+    const gltf = await loader.loadAsync(new URL(`${set.dir}/${name}.glb`, MODELS_URL).href);
+    return [name, gltf.scene];
+  })));
+
+  // Clones a model, scaled to cover `footprint` of a tile and resting on
+  // the floor at the group's origin.
+  function placeModel(name, footprint) {
+    const model = models.get(name).clone(true);
+    const box = new THREE.Box3().setFromObject(model);
+    const size = box.getSize(new THREE.Vector3());
+    const center = box.getCenter(new THREE.Vector3());
+    const s = footprint / Math.max(size.x, size.z, 0.001);
+    model.scale.setScalar(s);
+    model.position.set(-center.x * s, -box.min.y * s, -center.z * s);
+    const holder = new THREE.Group();
+    holder.add(model);
+    return holder;
+  }
+
+  // --- Renderer and scene (WebGLRenderer throws without WebGL) ---
+  const renderer = new THREE.WebGLRenderer({ antialias: true });
+  renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+
+  const scene = new THREE.Scene();
+  scene.background = new THREE.Color(palette.bg);
+  scene.add(new THREE.AmbientLight(0xffffff, 1.4));
+  const sun = new THREE.DirectionalLight(0xffffff, 1.6);
+  sun.position.set(-4, 10, 6);
+  scene.add(sun);
+
+  const camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0.1, 200);
+  let aspect = 1;
+
+  const floorGeometry = new THREE.BoxGeometry(1, 0.1, 1);
+  const gemGeometry = new THREE.OctahedronGeometry(0.18);
+  const materials = new Map();
+  function material(color) {
+    const key = color.getHexString();
+    if (!materials.has(key)) materials.set(key, new THREE.MeshLambertMaterial({ color }));
+    return materials.get(key);
+  }
+
+  // --- Character and NPCs ---
+  const bodyGeometry = new THREE.BoxGeometry(0.36, 0.45, 0.26);
+  const headGeometry = new THREE.BoxGeometry(0.28, 0.28, 0.28);
+
+  // A body and a head, wearing color
+  function figure(color) {
+    const group = new THREE.Group();
+    const body = new THREE.Mesh(bodyGeometry, material(new THREE.Color(color)));
+    body.position.y = 0.35;
+    const head = new THREE.Mesh(headGeometry, material(new THREE.Color(palette.char2)));
+    head.position.y = 0.72;
+    group.add(body, head);
+    scene.add(group);
+    return group;
+  }
+
+  const character = figure(palette.char1);
+  const npcFigures = [];   // reused from frame to frame, one per NPC
+
+  const FACING = { down: 0, right: Math.PI / 2, up: Math.PI, left: -Math.PI / 2 };
+
+  // --- Room ---
+  const roomGroup = new THREE.Group();
+  scene.add(roomGroup);
+  let markers = [];
+
+  function setRoom(room) {
+    roomGroup.clear();
+    markers = [];
+
+    // District tint per tile
+    const tints = new Map();
+    for (const district of room.districts) {
+      if (!district.color) continue;
+      for (const rect of district.rects) {
+        for (let r = rect.row; r < rect.row + rect.height; r++) {
+          for (let c = rect.col; c < rect.col + rect.width; c++) tints.set(`${c},${r}`, district.color);
+        }
+      }
+    }
+
+    room.grid.forEach((tiles, r) => {
+      tiles.forEach((tileType, c) => {
+        const key = tileTextureKey(tileType);
+        const custom = tileTypeById(tileType);
+        const color = new THREE.Color(custom ? tileColor(custom, palette) : floorColor(key, palette));
+        const tint = tints.get(`${c},${r}`);
+        if (tint) color.lerp(new THREE.Color(tint), districtTint);
+
+        const floor = new THREE.Mesh(floorGeometry, material(color));
+        floor.position.set(c + 0.5, -0.05, r + 0.5);
+        roomGroup.add(floor);
+
+        let prop = null;
+        if (key === 'deco') {
+          prop = placeModel(set.deco[(c * 7 + r * 13) % set.deco.length], DECO_FOOTPRINT);
+        } else if (key === 'sign') {
+          prop = placeModel(set.sign, DECO_FOOTPRINT);
+        } else if (CONTENT_KEYS.includes(key)) {
+          prop = set[key]
+            ? placeModel(set[key], MARKER_FOOTPRINT)
+            : new THREE.Mesh(gemGeometry, material(new THREE.Color(palette[key])));
+          prop.position.y = MARKER_HEIGHT;
+          markers.push(prop);
+        }
+        if (prop) {
+          prop.position.x = c + 0.5;
+          prop.position.z = r + 0.5;
+          roomGroup.add(prop);
+        }
+      });
+    });
+  }
+
+  // --- Frame ---
+  function render({ x, y, dir, zoom, dt, npcs = [] }) {
+    character.position.set(x + 0.5, 0, y + 0.5);
+    character.rotation.y = FACING[dir] ?? 0;
+    npcs.forEach((npc, i) => {
+      if (!npcFigures[i] || npcFigures[i].userData.color !== npc.color) {
+        if (npcFigures[i]) scene.remove(npcFigures[i]);
+        npcFigures[i] = figure(npc.color);
+        npcFigures[i].userData.color = npc.color;
+      }
+      npcFigures[i].visible = true;
+      npcFigures[i].position.set(npc.x + 0.5, 0, npc.y + 0.5);
+      npcFigures[i].rotation.y = FACING[npc.dir] ?? 0;
+    });
+    npcFigures.slice(npcs.length).forEach((group) => { group.visible = false; });
+    for (const marker of markers) marker.rotation.y += MARKER_SPIN * dt;
+
+    // Isometric view centered on the character
+    const halfH = VIEW_TILES / 2 / zoom;
+    camera.left = -halfH * aspect;
+    camera.right = halfH * aspect;
+    camera.top = halfH;
+    camera.bottom = -halfH;
+    camera.updateProjectionMatrix();
+    camera.position.set(x + 0.5 + 20, 20, y + 0.5 + 20);
+    camera.lookAt(x + 0.5, 0, y + 0.5);
+
+    renderer.render(scene, camera);
+  }
+
+  function resize(width, height) {
+    aspect = width / height;
+    renderer.setSize(width, height);
+  }
+
+  // --- Picking: ray from the click onto the floor plane ---
+  const raycaster = new THREE.Raycaster();
+  const ndc = new THREE.Vector2();
+  const floorPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+  const hit = new THREE.Vector3();
+
+  function pick(clientX, clientY) {
+    const rect = renderer.domElement.getBoundingClientRect();
+    ndc.set(
+      ((clientX - rect.left) / rect.width) * 2 - 1,
+      -((clientY - rect.top) / rect.height) * 2 + 1
+    );
+    raycaster.setFromCamera(ndc, camera);
+    if (!raycaster.ray.intersectPlane(floorPlane, hit)) return null;
+    return { col: Math.floor(hit.x), row: Math.floor(hit.z) };
+  }
+
+  function destroy() {
+    renderer.dispose();
+    renderer.domElement.remove();
+  }
+
+  return { canvas: renderer.domElement, setRoom, resize, render, pick, destroy };
+}
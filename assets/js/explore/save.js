@@ -0,0 +1,93 @@
+/**
+ * save.js — Explorer state saved across visits
+ *
+ * Keeps the character's room, tile and facing direction, the URLs of
+ * opened content, the stop of an unfinished tour and the time of the last
+ * visit in localStorage. A saved
+ * position is only trusted while the room's layout signature matches;
+ * after the map changes the player starts at the spawn again but keeps
+ * the list of opened content.
+ *
+ * The map editor also leaves its draft here for a play test.
+ */
+
+import { inBounds, isWalkable, roomSignature } from './map.js';
+
+const STORAGE_KEY = 'explore-state';
+const VERSION = 1;   // bump when the saved shape changes
+
+const PLAYTEST_KEY = 'explore-playtest';
+
+const DIRECTIONS = ['down', 'up', 'left', 'right'];
+
+/**
+ * Reads the saved state for a world's rooms (the Map from buildWorld).
+ * Returns { position, opened, tour, lastVisit } where position is
+ * { room, col, row, dir } or null when there is none or it no longer fits
+ * the map, opened is a Set of content URLs, tour the index of the tour
+ * stop to resume at (or null) and lastVisit the time (ms) the state was
+ * last saved. Returns null if nothing usable is saved.
+ */
+export function loadState(rooms) {
+  let saved;
+  try {
+    saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+  } catch {
+    return null;
+  }
+  if (!saved || saved.version !== VERSION) return null;
+
+  const opened = new Set(Array.isArray(saved.opened) ? saved.opened : []);
+  const room = rooms.get(saved.room);
+  const fits = room
+    && saved.layout === roomSignature(room)
+    && inBounds(room.grid, saved.col, saved.row)
+    && isWalkable(room.grid[saved.row][saved.col]);
+
+  const position = fits
+    ? { room: room.id, col: saved.col, row: saved.row, dir: DIRECTIONS.includes(saved.dir) ? saved.dir : 'down' }
+    : null;
+  const tour = Number.isInteger(saved.tour) && saved.tour >= 0 ? saved.tour : null;
+  return { position, opened, tour, lastVisit: Number(saved.visitedAt) || 0 };
+}
+
+/**
+ * Saves the state: room is a room from buildWorld, opened a Set of URLs
+ * and tour the stop of a tour in progress, or null.
+ */
+export function saveState({ room, col, row, dir, opened, tour = null }) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify({
+    version: VERSION,
+    room: room.id,
+    layout: roomSignature(room),
+    col,
+    row,
+    dir,
+    opened: [...opened],
+    tour,
+    visitedAt: Date.now(),
+  }));
+}
+
+export function clearState() {
+  localStorage.removeItem(STORAGE_KEY);
+}
+
+/**
+ * Keeps the editor's draft map file for /explore/?playtest. localStorage
+ * rather than sessionStorage, so the game can open in a new tab.
+ */
+export function savePlaytest(mapFile) {
+  localStorage.setItem(PLAYTEST_KEY, JSON.stringify(mapFile));
+}
+
+/**
+ * Returns the draft map file saved by the editor, or null.
+ */
+export function loadPlaytest() {
+  try {
+    return JSON.parse(localStorage.getItem(PLAYTEST_KEY));
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,218 @@
+/**
+ * search.js — Search palette with fast travel
+ *
+ * Fuzzy-matches titles, descriptions and tags of the content in every
+ * room. The palette only handles the query and keyboard navigation;
+ * what happens to a picked result (walking or teleporting there) is up
+ * to the caller.
+ */
+
+const MAX_RESULTS = 8;
+
+// Field weights: a title hit beats a tag hit beats a description hit
+const WEIGHTS = { title: 3, tags: 2, description: 1 };
+
+const TYPE_NAMES = { post: 'Post', project: 'Project', tab: 'Guitar tab', about: 'Page' };
+
+/* ============================================
+   Matching
+   ============================================ */
+
+/**
+ * Scores how well term matches text: substrings score highest (more so
+ * near the start), then in-order subsequences, with a bonus for runs of
+ * consecutive characters. Returns 0 for no match.
+ */
+export function fuzzyScore(term, text) {
+  const haystack = text.toLowerCase();
+  const at = haystack.indexOf(term);
+  if (at === 0) return 120;
+  if (at > 0) return 100 - Math.min(at, 50);
+
+  let from = 0;
+  let run = 0;
+  let score = 0;
+  for (const ch of term) {
+    const found = haystack.indexOf(ch, from);
+    if (found < 0) return 0;
+    run = found === from ? run + 1 : 0;
+    score += 1 + run;
+    from = found + 1;
+  }
+  return score;
+}
+
+/**
+ * Lists searchable content for the rooms Map from buildWorld:
+ * [{ room, roomName, col, row, content }]. Only tiles with a page to
+ * open are included.
+ */
+export function buildSearchIndex(rooms) {
+  const index = [];
+  for (const room of rooms.values()) {
+    for (const [key, content] of room.contentMap) {
+      if (!TYPE_NAMES[content.type] || !content.url) continue;
+      const [col, row] = key.split(',').map(Number);
+      index.push({ room: room.id, roomName: room.name, col, row, content });
+    }
+  }
+  return index;
+}
+
+/**
+ * Returns the best matches for query, best first. Every word of the
+ * query has to match at least one field.
+ */
+export function searchIndex(index, query) {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return [];
+
+  const scored = [];
+  for (const entry of index) {
+    const { title, description = '', tags = [] } = entry.content;
+    let total = 0;
+    for (const term of terms) {
+      const best = Math.max(
+        fuzzyScore(term, title) * WEIGHTS.title,
+        Math.max(0, ...tags.map((tag) => fuzzyScore(term, tag))) * WEIGHTS.tags,
+        fuzzyScore(term, description) * WEIGHTS.description
+      );
+      if (best === 0) { total = 0; break; }
+      total += best;
+    }
+    if (total > 0) scored.push({ entry, total });
+  }
+
+  return scored
+    .sort((a, b) => b.total - a.total)
+    .slice(0, MAX_RESULTS)
+    .map((s) => s.entry);
+}
+
+/* ============================================
+   Palette
+   ============================================ */
+
+/**
+ * Wires the palette markup:
+ *   root, input, list, fast  — dialog, text box, listbox and the fast
+ *                              travel checkbox
+ *   index                    — from buildSearchIndex
+ *   onQuery(results)         — called as the results change ([] when the
+ *                              palette closes)
+ *   onPick(entry, fast)      — called with the chosen result
+ *
+ * Returns { open(), close(), get isOpen }.
+ */
+export function createSearchPalette({ root, input, list, fast, index, onQuery, onPick }) {
+  let results = [];
+  let selected = 0;
+  let isOpen = false;
+  let returnFocus = null;
+
+  function render() {
+    list.textContent = '';
+    results.forEach((entry, i) => {
+      const item = document.createElement('li');
+      item.id = `search-result-${i}`;
+      item.className = 'search-result';
+      item.setAttribute('role', 'option');
+      item.setAttribute('aria-selected', String(i === selected));
+
+      const title = document.createElement('span');
+      title.className = 'search-result-title';
+      title.textContent = entry.content.title;
+      const meta = document.createElement('span');
+      meta.className = 'search-result-meta';
+      meta.textContent = `${TYPE_NAMES[entry.content.type]} · ${entry.roomName}`;
+      item.append(title, meta);
+
+      item.addEventListener('mousedown', (e) => e.preventDefault());   // keep focus in the input
+      item.addEventListener('click', () => pick(i, fast?.checked));
+      list.appendChild(item);
+    });
+
+    if (results.length === 0 && input.value.trim()) {
+      const empty = document.createElement('li');
+      empty.className = 'search-empty';
+      empty.textContent = 'No matches';
+      list.appendChild(empty);
+    }
+
+    input.setAttribute('aria-expanded', String(results.length > 0));
+    if (results.length) input.setAttribute('aria-activedescendant', `search-result-${selected}`);
+    else input.removeAttribute('aria-activedescendant');
+  }
+
+  function update() {
+    results = searchIndex(index, input.value);
+    selected = 0;
+    render();
+    onQuery(results);
+  }
+
+  function move(delta) {
+    if (results.length === 0) return;
+    selected = (selected + delta + results.length) % results.length;
+    render();
+    list.children[selected]?.scrollIntoView?.({ block: 'nearest' });
+  }
+
+  function pick(i, fastTravel) {
+    const entry = results[i];
+    if (!entry) return;
+    close();
+    onPick(entry, Boolean(fastTravel));
+  }
+
+  function open() {
+    if (isOpen) return;
+    isOpen = true;
+    returnFocus = document.activeElement;
+    root.classList.remove('hidden');
+    input.value = '';
+    update();
+    input.focus();
+  }
+
+  function close() {
+    if (!isOpen) return;
+    isOpen = false;
+    root.classList.add('hidden');
+    results = [];
+    onQuery([]);
+    returnFocus?.focus?.();
+    returnFocus = null;
+  }
+
+  input.addEventListener('input', update);
+
+  // Keys stay inside the palette so the world's WASD handler never sees them
+  root.addEventListener('keydown', (e) => {
+    e.stopPropagation();
+    switch (e.key) {
+      case 'ArrowDown': e.preventDefault(); move(1); break;
+      case 'ArrowUp':   e.preventDefault(); move(-1); break;
+      case 'Enter':     e.preventDefault(); pick(selected, e.shiftKey !== Boolean(fast?.checked)); break;
+      case 'Escape':    e.preventDefault(); close(); break;
+      case 'Tab':
+        // Only the text box and the checkbox are focusable
+        if (fast) {
+          e.preventDefault();
+          (document.activeElement === input ? fast : input).focus();
+        }
+        break;
+    }
+  });
+
+  // Clicking the dimmed area around the box closes the palette
+  root.addEventListener('click', (e) => {
+    if (e.target === root) close();
+  });
+
+  return {
+    open,
+    close,
+    get isOpen() { return isOpen; },
+  };
+}
@@ -0,0 +1,212 @@
+/**
+ * theme.js — Explore themes and the site theme setting
+ *
+ * The registry holds the built-in café (beige), grid (dark) and clouds
+ * (light) themes plus any from _data/explore_themes.yml, which the site
+ * injects as EXPLORE_DATA.themes:
+ *
+ *   themes:
+ *     winter:
+ *       base: beige             # optional; gaps are filled from this theme
+ *       season:                 # optional; stands in for the base theme
+ *         from: 12-01           # between these dates (MM-DD, inclusive)
+ *         to: 02-28
+ *       label: Winter café      # theme switcher name
+ *       loading: Shoveling the café steps...
+ *       welcome: Welcome to the Winter Café
+ *       decoration: lamps       # lamps, neon, wisps or none
+ *       class: theme-beige      # CSS class for the page ("none" for none)
+ *       colors:                 # PALETTE_KEYS, plus an optional snow
+ *         grass1: "#e8e6e0"
+ *
+ * The setting reads and writes the main site's `theme` localStorage key,
+ * so picking a theme here carries over to the blog and back. A change
+ * made in another tab arrives through the storage event.
+ */
+
+import { DECORATIONS, PALETTES, PALETTE_KEYS } from './tiles.js';
+
+const STORAGE_KEY = 'theme';
+const DEFAULT_THEME = 'beige';
+
+const BUILT_IN = {
+  beige: {
+    label: 'Caf\u00e9',
+    loadingMsg: 'Setting up the caf\u00e9...',
+    welcome: 'Welcome to the Caf\u00e9',
+    themeClass: 'theme-beige',
+    decoration: 'lamps',
+  },
+  dark: {
+    label: 'Grid',
+    loadingMsg: 'Jacking into the grid...',
+    welcome: 'Welcome to the Grid',
+    themeClass: null,
+    decoration: 'neon',
+  },
+  light: {
+    label: 'Clouds',
+    loadingMsg: 'Ascending to the clouds...',
+    welcome: 'Welcome to the Clouds',
+    themeClass: 'theme-light',
+    decoration: 'wisps',
+  },
+};
+
+const NAME_PATTERN = /^[a-z][a-z0-9-]*$/;
+const HEX_COLOR = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+const CSS_COLOR = /^(#[0-9a-f]{3,8}|rgba?\([\d\s.,%]+\))$/i;
+const MONTH_DAY = /^(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+
+// labelBg is only used as a CSS color; the rest also go through
+// PIXI.utils.string2hex, which wants hex
+function validColor(key, value) {
+  return typeof value === 'string' && (key === 'labelBg' ? CSS_COLOR : HEX_COLOR).test(value);
+}
+
+function monthDay(date) {
+  return `${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+// Whether today (MM-DD) falls in a season; seasons may wrap past New Year
+function inSeason(season, today) {
+  return season.from <= season.to
+    ? today >= season.from && today <= season.to
+    : today >= season.from || today <= season.to;
+}
+
+/**
+ * Builds the theme registry from the data file's contents (or nothing)
+ * and the current date. Returns:
+ *   names   — selectable theme names, built-ins first
+ *   get(name) — the theme to show for name: its seasonal stand-in when
+ *               one is in season, the default theme for unknown names.
+ *               Themes are { name, label, loadingMsg, welcome,
+ *               themeClass, decoration, modelSet, palette }
+ *   errors  — readable messages about the data file
+ */
+export function createThemeRegistry(themeFile, date = new Date()) {
+  const themes = new Map();
+  const seasonal = new Map();   // base name -> theme in season
+  const errors = [];
+
+  for (const [name, fields] of Object.entries(BUILT_IN)) {
+    themes.set(name, { name, ...fields, modelSet: name, palette: PALETTES[name] });
+  }
+
+  const today = monthDay(date);
+  const definitions = (themeFile && themeFile.themes) || {};
+  for (const [name, spec] of Object.entries(definitions)) {
+    const themeErrors = [];
+    const theme = parseTheme(name, spec || {}, themes, themeErrors);
+    errors.push(...themeErrors.map((msg) => `themes.${name}: ${msg}`));
+    if (!theme) continue;
+    if (!spec.season) themes.set(name, theme);
+    else if (inSeason(spec.season, today)) seasonal.set(theme.base, theme);
+  }
+
+  function get(name) {
+    const base = themes.has(name) ? name : DEFAULT_THEME;
+    return seasonal.get(base) || themes.get(base);
+  }
+
+  return { names: [...themes.keys()], get, errors };
+}
+
+// Returns the theme for a definition with its gaps filled from the base
+// theme, or null if it can't be used
+function parseTheme(name, spec, themes, errors) {
+  if (!NAME_PATTERN.test(name)) {
+    errors.push('names use lowercase letters, digits and dashes');
+    return null;
+  }
+
+  // A built-in redefined here is based on itself
+  const baseName = spec.base ?? (themes.has(name) ? name : DEFAULT_THEME);
+  if (!themes.has(baseName)) {
+    errors.push(`unknown base theme "${baseName}" (themes are ${[...themes.keys()].join(', ')})`);
+    return null;
+  }
+  const base = themes.get(baseName);
+
+  if (spec.season) {
+    const { from, to } = spec.season;
+    if (!MONTH_DAY.test(from) || !MONTH_DAY.test(to)) {
+      errors.push('season needs "from" and "to" dates as MM-DD');
+      return null;
+    }
+  }
+
+  // --- Colors ---
+  const colors = spec.colors || {};
+  const palette = { ...base.palette };
+  for (const [key, value] of Object.entries(colors)) {
+    if (!PALETTE_KEYS.includes(key) && key !== 'snow') errors.push(`unknown color "${key}"`);
+    else if (!validColor(key, value)) errors.push(`color "${key}": "${value}" is not a ${key === 'labelBg' ? 'CSS' : 'hex'} color`);
+    else palette[key] = value;
+  }
+  // Without a base, every color should be given; missing ones are the default theme's
+  if (spec.base === undefined && !themes.has(name)) {
+    const missing = PALETTE_KEYS.filter((key) => !(key in colors));
+    if (missing.length) errors.push(`missing colors ${missing.join(', ')} (using ${DEFAULT_THEME}'s)`);
+  }
+
+  // --- Decoration and page class ---
+  let decoration = spec.decoration ?? base.decoration;
+  if (!DECORATIONS.includes(decoration)) {
+    errors.push(`unknown decoration "${decoration}" (decorations are ${DECORATIONS.join(', ')})`);
+    decoration = base.decoration;
+  }
+  let themeClass = base.themeClass;
+  if (spec.class !== undefined) themeClass = spec.class && spec.class !== 'none' ? String(spec.class) : null;
+
+  return {
+    name,
+    base: baseName,
+    label: spec.label ? String(spec.label) : name,
+    loadingMsg: spec.loading ? String(spec.loading) : base.loadingMsg,
+    welcome: spec.welcome ? String(spec.welcome) : base.welcome,
+    themeClass,
+    decoration,
+    modelSet: base.modelSet,
+    palette,
+  };
+}
+
+/**
+ * Creates the theme setting, starting from initial (the theme the page
+ * was rendered with) and limited to names:
+ *   name           — current theme name
+ *   set(name)      — switches theme and saves it
+ *   onChange(fn)   — calls fn(name) whenever the theme changes, here or
+ *                    in another tab
+ */
+export function createThemeSetting(initial, names) {
+  const valid = (next) => (names.includes(next) ? next : DEFAULT_THEME);
+  let name = valid(initial);
+  const listeners = [];
+
+  function change(next) {
+    next = valid(next);
+    if (next === name) return;
+    name = next;
+    listeners.forEach((fn) => fn(name));
+  }
+
+  window.addEventListener('storage', (e) => {
+    if (e.key === STORAGE_KEY) change(e.newValue);
+  });
+
+  return {
+    get name() { return name; },
+
+    set(next) {
+      localStorage.setItem(STORAGE_KEY, valid(next));
+      change(next);
+    },
+
+    onChange(fn) {
+      listeners.push(fn);
+    },
+  };
+}
@@ -0,0 +1,159 @@
+/**
+ * tilemap.js — Layered tile renderer
+ *
+ * Draws a room in four layers: ground (grass or paving under every
+ * tile), edges (curbs where paving meets grass, picked from a neighbor
+ * bitmask), objects (trees, signs, doors, content markers) and overhead
+ * (tree tops and lamp heads the character walks behind). The first three
+ * go in `below`, under the character; overhead goes in `above`.
+ */
+
+import { inBounds } from './map.js';
+import { EDGE, OVERHANG, isPaved, tileTextureKey } from './tiles.js';
+
+const PIXI = window.PIXI;
+
+// Side and corner neighbors for each EDGE bit
+const SIDES = [[EDGE.N, 0, -1], [EDGE.E, 1, 0], [EDGE.S, 0, 1], [EDGE.W, -1, 0]];
+const CORNERS = [
+  [EDGE.NE, 1, -1, EDGE.N | EDGE.E],
+  [EDGE.SE, 1, 1, EDGE.S | EDGE.E],
+  [EDGE.SW, -1, 1, EDGE.S | EDGE.W],
+  [EDGE.NW, -1, -1, EDGE.N | EDGE.W],
+];
+
+/**
+ * Returns the EDGE bitmask of a paved tile: a side bit for each grass
+ * neighbor, a corner bit for grass diagonally between two paved sides.
+ * The edge of the map counts as paved. Unpaved tiles get 0.
+ */
+export function edgeMask(grid, col, row) {
+  if (!isPaved(grid[row][col])) return 0;
+  const grassAt = (dc, dr) => inBounds(grid, col + dc, row + dr) && !isPaved(grid[row + dr][col + dc]);
+
+  let mask = 0;
+  for (const [bit, dc, dr] of SIDES) {
+    if (grassAt(dc, dr)) mask |= bit;
+  }
+  for (const [bit, dc, dr, sides] of CORNERS) {
+    if ((mask & sides) === 0 && grassAt(dc, dr)) mask |= bit;
+  }
+  return mask;
+}
+
+// Stable pseudo-random number in [0, 1) for a tile
+function tileNoise(col, row) {
+  const h = Math.imul(col + 1, 73856093) ^ Math.imul(row + 1, 19349663);
+  return ((h >>> 0) % 1000) / 1000;
+}
+
+/**
+ * Creates the renderer.
+ *   textures   — from createTileTextures
+ *   animation  — from createTileAnimation, or null
+ *   tileSize   — world units per tile
+ *
+ * Returns { below, above, setRoom(grid, objectKey), setObject(col, row,
+ * key), setTextures(textures, animation), cull(view), animate(time) }.
+ * objectKey(col, row) names the object texture of a tile, so opened
+ * content can use its visited look. New textures show on the next
+ * setRoom.
+ */
+export function createTilemap({ textures, animation, tileSize }) {
+  const below = new PIXI.Container();
+  const groundLayer = new PIXI.Container();
+  const edgeLayer = new PIXI.Container();
+  const objectLayer = new PIXI.Container();
+  below.addChild(groundLayer, edgeLayer, objectLayer);
+  const above = new PIXI.Container();
+
+  let tiles = [];            // [row][col] -> every sprite drawn for the tile
+  let objectSprites = [];    // [row][col] -> object sprite or null
+  let animated = [];         // { sprite, phase }
+
+  function addSprite(texture, layer, col, row, offsetY = 0) {
+    const sprite = new PIXI.Sprite(texture);
+    sprite.x = col * tileSize;
+    sprite.y = row * tileSize - offsetY;
+    sprite.width = tileSize;
+    sprite.height = tileSize;
+    layer.addChild(sprite);
+    return sprite;
+  }
+
+  function setRoom(grid, objectKey) {
+    const { ground, objects, overhead } = textures.layers;
+    for (const layer of [groundLayer, edgeLayer, objectLayer, above]) {
+      layer.removeChildren().forEach((child) => child.destroy());
+    }
+    tiles = [];
+    objectSprites = [];
+    animated = [];
+
+    grid.forEach((tileTypes, r) => {
+      const spriteRow = [];
+      const objectRow = [];
+      tileTypes.forEach((tileType, c) => {
+        const sprites = [addSprite(ground[isPaved(tileType) ? 'path' : 'grass'], groundLayer, c, r)];
+
+        const mask = edgeMask(grid, c, r);
+        if (mask) sprites.push(addSprite(textures.edge(mask), edgeLayer, c, r));
+
+        const anim = animation && tileType === animation.tile && tileNoise(c, r) < animation.share
+          ? animation
+          : null;
+
+        const objectTexture = anim?.object || objects[objectKey(c, r)];
+        const object = objectTexture ? addSprite(objectTexture, objectLayer, c, r) : null;
+        if (object) sprites.push(object);
+        objectRow.push(object);
+
+        const topTexture = anim ? anim.frames[0] : overhead[tileTextureKey(tileType)];
+        if (topTexture) {
+          const top = addSprite(topTexture, above, c, r, OVERHANG);
+          sprites.push(top);
+          // Out of step, so neighbors don't flicker together
+          if (anim) animated.push({ sprite: top, phase: Math.floor(tileNoise(r, c) * anim.sequence.length) });
+        }
+
+        spriteRow.push(sprites);
+      });
+      tiles.push(spriteRow);
+      objectSprites.push(objectRow);
+    });
+  }
+
+  function setObject(col, row, key) {
+    const sprite = objectSprites[row]?.[col];
+    const texture = textures.layers.objects[key];
+    if (sprite && texture) sprite.texture = texture;
+  }
+
+  function setTextures(nextTextures, nextAnimation) {
+    textures = nextTextures;
+    animation = nextAnimation;
+  }
+
+  // Only tiles inside view = { c0, r0, c1, r1 } are rendered
+  function cull(view) {
+    tiles.forEach((spriteRow, r) => {
+      spriteRow.forEach((sprites, c) => {
+        const visible = c >= view.c0 && c <= view.c1 && r >= view.r0 && r <= view.r1;
+        for (const sprite of sprites) sprite.visible = visible;
+      });
+    });
+  }
+
+  // Shows each animated tile's frame for time (ms); a fixed time holds
+  // them still
+  function animate(time) {
+    if (!animation) return;
+    const step = Math.floor(time / animation.frameMs);
+    const { sequence, frames } = animation;
+    for (const { sprite, phase } of animated) {
+      sprite.texture = frames[sequence[(step + phase) % sequence.length]];
+    }
+  }
+
+  return { below, above, setRoom, setObject, setTextures, cull, animate };
+}
@@ -2,11 +2,17 @@
  * tiles.js — Procedural pixel art tile/character sprites and theme palettes
  *
  * All sprites are generated on canvas at runtime. No external images.
- * Tile size is 16x16 pixels (rendered scaled up by Pixi).
- * Character is 16x16 with 2 walk frames per direction.
+ * Tile size is 16x16 pixels (rendered scaled up by Pixi). Tiles come
+ * flat and in layers (ground, path edges, object, overhead) for
+ * tilemap.js, and each theme has one animated tile.
+ * Character is 16x16 and faces four ways, with a 4-frame walk cycle and
+ * a 2-frame idle, in the avatar the reader picked.
+ * Registered tile types (tiletypes.js) are drawn with their own draw
+ * functions on the same grounds.
  */
 
 import { TILE } from './map.js';
+import { tileTypeById, tileTypes } from './tiletypes.js';
 
 const PIXI = window.PIXI;
 const TS = 16; // tile size in pixels
@@ -15,6 +21,8 @@ const TS = 16; // tile size in pixels
    Theme Palettes
    ============================================ */
 
+// The built-in palettes. More come from _data/explore_themes.yml through
+// theme.js, which fills their gaps from one of these.
 export const PALETTES = {
   beige: {
     grass1:    '#b8a87a',
@@ -27,8 +35,10 @@ export const PALETTES = {
     project:   '#6b8e23',
     about:     '#8b6914',
     exit:      '#c4704c',
+    sparkle:   '#e8a93a',  // "new" marker
     char1:     '#8b6914',  // body
     char2:     '#f5e6d0',  // skin
+    hair:      '#5a3a1e',
     bg:        '#FAF6F1',
     label:     '#4A2F1A',
     labelBg:   'rgba(250,246,241,0.9)',
@@ -44,8 +54,10 @@ export const PALETTES = {
     project:   '#ff00aa',
     about:     '#7c3aed',
     exit:      '#00ff88',
+    sparkle:   '#ffe066',  // "new" marker
     char1:     '#00d4ff',  // body
     char2:     '#e0e0ff',  // skin
+    hair:      '#b0a0ff',
     bg:        '#050510',
     label:     '#e0e0ff',
     labelBg:   'rgba(10,10,20,0.9)',
@@ -61,14 +73,20 @@ export const PALETTES = {
     project:   '#4488cc',
     about:     '#6644aa',
     exit:      '#0066cc',
+    sparkle:   '#ffb000',  // "new" marker
     char1:     '#4488cc',  // body
     char2:     '#f0f0ff',  // skin
+    hair:      '#7a5a40',
     bg:        '#E0EEFF',
     label:     '#1d1d1f',
     labelBg:   'rgba(255,255,255,0.9)',
   },
 };
 
+// Keys every palette needs. A palette may also set `snow`, which dusts
+// the tree tops.
+export const PALETTE_KEYS = Object.keys(PALETTES.beige);
+
 /* ============================================
    Pixel Drawing Helpers
    ============================================ */
@@ -95,138 +113,479 @@ function canvasToTexture(canvas) {
 }
 
 /* ============================================
-   Tile Textures
+   Tile Layers
    ============================================ */
 
-export function createTileTextures(palette) {
-  const textures = {};
+// Overhead sprites (tree tops, lamp heads) reach this many pixels into
+// the tile above, so the character can walk behind them
+export const OVERHANG = 4;
+
+// Neighbor bits for path edges. The sides are grass neighbors; a corner
+// bit is only set when both sides next to it are paved (an inner corner).
+export const EDGE = {
+  N: 1, E: 2, S: 4, W: 8,
+  NE: 16, SE: 32, SW: 64, NW: 128,
+};
 
-  // --- Grass ---
-  const grassC = createCanvas();
-  const grassCtx = grassC.getContext('2d');
-  fill(grassCtx, palette.grass1);
+// Tiles laid on paving; everything else stands on grass
+const PAVED = new Set([TILE.PATH, TILE.BLOG, TILE.PROJECT, TILE.ABOUT, TILE.EXIT, TILE.SPAWN, TILE.DOOR]);
+
+export function isPaved(tileType) {
+  return PAVED.has(tileType) || Boolean(tileTypeById(tileType)?.paved);
+}
+
+function drawTexture(draw) {
+  const c = createCanvas();
+  draw(c.getContext('2d'));
+  return canvasToTexture(c);
+}
+
+function drawGrass(ctx, palette) {
+  fill(ctx, palette.grass1);
   // Dithered noise pattern
   for (let y = 0; y < TS; y += 2) {
     for (let x = 0; x < TS; x += 2) {
-      if ((x + y) % 4 === 0) px(grassCtx, x, y, 1, 1, palette.grass2);
+      if ((x + y) % 4 === 0) px(ctx, x, y, 1, 1, palette.grass2);
     }
   }
-  textures.grass = canvasToTexture(grassC);
+}
 
-  // --- Path ---
-  const pathC = createCanvas();
-  const pathCtx = pathC.getContext('2d');
-  fill(pathCtx, palette.path1);
+function drawPath(ctx, palette) {
+  fill(ctx, palette.path1);
   // Subtle brick pattern
   for (let y = 0; y < TS; y += 4) {
-    px(pathCtx, 0, y, TS, 1, palette.path2);
+    px(ctx, 0, y, TS, 1, palette.path2);
     const offset = (y % 8 === 0) ? 0 : 8;
-    px(pathCtx, offset, y, 1, 4, palette.path2);
-  }
-  textures.path = canvasToTexture(pathC);
-
-  // --- Deco (tree / neon pillar / crystal) ---
-  const decoC = createCanvas();
-  const decoCtx = decoC.getContext('2d');
-  fill(decoCtx, palette.grass1); // grass background
-  // Trunk/base
-  px(decoCtx, 6, 10, 4, 6, palette.deco2);
-  // Top/canopy
-  px(decoCtx, 3, 2, 10, 9, palette.deco1);
-  px(decoCtx, 5, 1, 6, 2, palette.deco1);
-  // Highlight
-  px(decoCtx, 5, 3, 3, 3, palette.deco2);
-  textures.deco = canvasToTexture(decoC);
-
-  // --- Content tile helper ---
-  function contentTile(accentColor) {
-    const c = createCanvas();
-    const ctx = c.getContext('2d');
-    fill(ctx, palette.path1);
-    // Colored border (2px)
-    ctx.strokeStyle = accentColor;
-    ctx.lineWidth = 2;
-    ctx.strokeRect(1, 1, 14, 14);
-    // Small icon dot in center
-    px(ctx, 6, 6, 4, 4, accentColor);
-    return canvasToTexture(c);
-  }
-
-  textures.blog = contentTile(palette.blog);
-  textures.project = contentTile(palette.project);
-  textures.about = contentTile(palette.about);
-
-  // --- Exit tile ---
-  const exitC = createCanvas();
-  const exitCtx = exitC.getContext('2d');
-  fill(exitCtx, palette.path1);
+    px(ctx, offset, y, 1, 4, palette.path2);
+  }
+}
+
+// Curbs along grass sides, rounded outer corners, dots on inner corners
+function drawEdges(ctx, mask, palette) {
+  const curb = palette.path2;
+  if (mask & EDGE.N) px(ctx, 0, 0, TS, 1, curb);
+  if (mask & EDGE.S) px(ctx, 0, TS - 1, TS, 1, curb);
+  if (mask & EDGE.W) px(ctx, 0, 0, 1, TS, curb);
+  if (mask & EDGE.E) px(ctx, TS - 1, 0, 1, TS, curb);
+
+  const corners = [
+    [EDGE.N | EDGE.W, EDGE.NW, 0, 0, 1, 1],
+    [EDGE.N | EDGE.E, EDGE.NE, TS - 1, 0, -1, 1],
+    [EDGE.S | EDGE.W, EDGE.SW, 0, TS - 1, 1, -1],
+    [EDGE.S | EDGE.E, EDGE.SE, TS - 1, TS - 1, -1, -1],
+  ];
+  for (const [sides, inner, x, y, dx, dy] of corners) {
+    if ((mask & sides) === sides) {
+      px(ctx, x, y, 1, 1, palette.grass1);
+      px(ctx, x + dx, y + dy, 1, 1, curb);
+    } else if (mask & inner) {
+      px(ctx, x, y, 1, 1, curb);
+    }
+  }
+}
+
+/* ============================================
+   Tile Objects
+   ============================================ */
+
+// Objects are drawn on a transparent canvas over the ground tile
+
+function drawContent(ctx, accentColor) {
+  // Colored border (2px)
+  ctx.strokeStyle = accentColor;
+  ctx.lineWidth = 2;
+  ctx.strokeRect(1, 1, 14, 14);
+  // Small icon dot in center
+  px(ctx, 6, 6, 4, 4, accentColor);
+}
+
+// Faded border, check mark instead of the dot
+function drawVisited(ctx, accentColor) {
+  ctx.globalAlpha = 0.45;
+  ctx.strokeStyle = accentColor;
+  ctx.lineWidth = 2;
+  ctx.strokeRect(1, 1, 14, 14);
+  ctx.globalAlpha = 1;
+  px(ctx, 5, 8, 1, 1, accentColor);
+  px(ctx, 6, 9, 1, 1, accentColor);
+  px(ctx, 7, 10, 1, 1, accentColor);
+  px(ctx, 8, 9, 1, 1, accentColor);
+  px(ctx, 9, 8, 1, 1, accentColor);
+  px(ctx, 10, 7, 1, 1, accentColor);
+  px(ctx, 11, 6, 1, 1, accentColor);
+}
+
+function drawExit(ctx, palette) {
   // Arrow-down icon
-  px(exitCtx, 7, 3, 2, 6, palette.exit);
-  px(exitCtx, 5, 7, 6, 2, palette.exit);
-  px(exitCtx, 6, 9, 4, 2, palette.exit);
-  px(exitCtx, 7, 11, 2, 2, palette.exit);
-  textures.exit = canvasToTexture(exitC);
-
-  // --- Spawn tile (same as path, subtle marker) ---
-  const spawnC = createCanvas();
-  const spawnCtx = spawnC.getContext('2d');
-  fill(spawnCtx, palette.path1);
+  px(ctx, 7, 3, 2, 6, palette.exit);
+  px(ctx, 5, 7, 6, 2, palette.exit);
+  px(ctx, 6, 9, 4, 2, palette.exit);
+  px(ctx, 7, 11, 2, 2, palette.exit);
+}
+
+function drawSpawn(ctx, palette) {
   // Small diamond in center
-  px(spawnCtx, 7, 5, 2, 1, palette.path2);
-  px(spawnCtx, 6, 6, 4, 1, palette.path2);
-  px(spawnCtx, 5, 7, 6, 2, palette.path2);
-  px(spawnCtx, 6, 9, 4, 1, palette.path2);
-  px(spawnCtx, 7, 10, 2, 1, palette.path2);
-  textures.spawn = canvasToTexture(spawnC);
+  px(ctx, 7, 5, 2, 1, palette.path2);
+  px(ctx, 6, 6, 4, 1, palette.path2);
+  px(ctx, 5, 7, 6, 2, palette.path2);
+  px(ctx, 6, 9, 4, 1, palette.path2);
+  px(ctx, 7, 10, 2, 1, palette.path2);
+}
+
+function drawSign(ctx, palette) {
+  // Post
+  px(ctx, 7, 9, 2, 6, palette.deco2);
+  // Board with lettering
+  px(ctx, 2, 3, 12, 7, palette.deco2);
+  px(ctx, 3, 4, 10, 5, palette.path1);
+  px(ctx, 4, 5, 6, 1, palette.deco2);
+  px(ctx, 4, 7, 8, 1, palette.deco2);
+}
+
+function drawDoor(ctx, palette) {
+  // Frame
+  px(ctx, 3, 1, 10, 15, palette.deco2);
+  // Opening
+  px(ctx, 5, 3, 6, 13, palette.path2);
+  px(ctx, 5, 3, 6, 1, palette.deco1);
+  // Handle
+  px(ctx, 9, 9, 1, 1, palette.deco2);
+}
+
+// Tree / neon pillar / crystal, split into the trunk on the object layer
+// and the top on the overhead layer
+function drawTrunk(ctx, palette) {
+  px(ctx, 6, 6, 4, 10, palette.deco2);
+}
+
+function drawCanopy(ctx, palette) {
+  px(ctx, 3, 2, 10, 9, palette.deco1);
+  px(ctx, 5, 1, 6, 2, palette.deco1);
+  // Highlight
+  px(ctx, 5, 3, 3, 3, palette.deco2);
+  if (palette.snow) {
+    px(ctx, 5, 1, 6, 1, palette.snow);
+    px(ctx, 3, 2, 10, 1, palette.snow);
+    px(ctx, 4, 3, 1, 1, palette.snow);
+    px(ctx, 9, 3, 3, 1, palette.snow);
+  }
+}
+
+/* ============================================
+   Tile Textures
+   ============================================ */
+
+/**
+ * Creates the tile textures for a palette. Each tile type has a flat
+ * texture under its tileTextureKey (ground, object and top in one, for
+ * the editor and swatches) and its parts in `layers` for the game's
+ * layered renderer:
+ *   layers.ground    — grass and path
+ *   layers.objects   — per key, drawn over the ground
+ *   layers.overhead  — per key, drawn over the character, OVERHANG
+ *                      pixels higher
+ *   edge(mask)       — path edges for an EDGE bitmask, cached
+ */
+export function createTileTextures(palette) {
+  const textures = {};
+  const created = [];
+  // Everything made here, for destroy()
+  const tileTexture = (draw) => {
+    const texture = drawTexture(draw);
+    created.push(texture);
+    return texture;
+  };
+  const ground = {
+    grass: tileTexture((ctx) => drawGrass(ctx, palette)),
+    path: tileTexture((ctx) => drawPath(ctx, palette)),
+  };
+  const objects = {};
+  const overhead = {};
+
+  function addTile(key, groundKey, drawObject, drawTop) {
+    const drawGround = groundKey === 'path' ? drawPath : drawGrass;
+    textures[key] = tileTexture((ctx) => {
+      drawGround(ctx, palette);
+      drawObject?.(ctx);
+      drawTop?.(ctx);
+    });
+    if (drawObject) objects[key] = tileTexture(drawObject);
+    if (drawTop) overhead[key] = tileTexture(drawTop);
+  }
+
+  addTile('grass', 'grass');
+  addTile('path', 'path');
+  addTile('deco', 'grass', (ctx) => drawTrunk(ctx, palette), (ctx) => drawCanopy(ctx, palette));
+
+  for (const key of ['blog', 'project', 'about']) {
+    addTile(key, 'path', (ctx) => drawContent(ctx, palette[key]));
+    addTile(`${key}Visited`, 'path', (ctx) => drawVisited(ctx, palette[key]));
+  }
+
+  addTile('exit', 'path', (ctx) => drawExit(ctx, palette));
+  addTile('spawn', 'path', (ctx) => drawSpawn(ctx, palette));
+  addTile('sign', 'grass', (ctx) => drawSign(ctx, palette));
+  addTile('door', 'path', (ctx) => drawDoor(ctx, palette));
+
+  for (const type of tileTypes()) {
+    addTile(
+      type.key,
+      type.paved ? 'path' : 'grass',
+      type.draw && ((ctx) => type.draw(ctx, palette)),
+      type.drawTop && ((ctx) => type.drawTop(ctx, palette))
+    );
+  }
+
+  // --- "New" sparkle (transparent overlay, top-right corner) ---
+  textures.sparkle = tileTexture((ctx) => {
+    px(ctx, 12, 0, 1, 5, palette.sparkle);
+    px(ctx, 10, 2, 5, 1, palette.sparkle);
+    px(ctx, 12, 2, 1, 1, '#ffffff');
+  });
+
+  const edges = new Map();
+  textures.layers = { ground, objects, overhead };
+  textures.edge = (mask) => {
+    if (!edges.has(mask)) edges.set(mask, tileTexture((ctx) => drawEdges(ctx, mask, palette)));
+    return edges.get(mask);
+  };
+
+  textures.destroy = () => created.forEach((texture) => texture.destroy(true));
 
   return textures;
 }
 
 /* ============================================
-   Character Sprite Frames
+   Animated Tiles
    ============================================ */
 
+// Lamp post: the post is the object, the head flickers overhead
+function drawLampPost(ctx, palette) {
+  px(ctx, 7, 6, 2, 9, palette.deco2);
+  px(ctx, 5, 14, 6, 2, palette.deco2);
+}
+
+function drawLampHead(ctx, palette, glow) {
+  ctx.globalAlpha = 0.3 * glow;
+  px(ctx, 3, 1, 10, 9, palette.sparkle);
+  ctx.globalAlpha = 1;
+  px(ctx, 5, 2, 6, 2, palette.deco2);
+  px(ctx, 6, 4, 4, 3, glow > 0.5 ? palette.sparkle : palette.deco1);
+  px(ctx, 7, 7, 2, 1, palette.deco2);
+}
+
+// Neon pillar top with a glowing rim
+function drawNeonTop(ctx, palette, glow) {
+  drawCanopy(ctx, palette);
+  ctx.globalAlpha = glow;
+  ctx.strokeStyle = palette.blog;
+  ctx.lineWidth = 1;
+  ctx.strokeRect(3.5, 2.5, 9, 8);
+  ctx.globalAlpha = 1;
+}
+
+// A wisp of cloud, x pixels across the tile (wrapping)
+function drawWisp(ctx, x) {
+  ctx.globalAlpha = 0.55;
+  for (const dx of [x - TS, x]) {
+    px(ctx, dx + 1, 8, 3, 1, '#ffffff');
+    px(ctx, dx, 9, 7, 1, '#ffffff');
+    px(ctx, dx + 3, 10, 5, 1, '#ffffff');
+  }
+  ctx.globalAlpha = 1;
+}
+
+// Decoration styles for createTileAnimation
+export const DECORATIONS = ['lamps', 'neon', 'wisps', 'none'];
+
 /**
- * Creates character walk-cycle textures.
- * Returns { down: [t1,t2], up: [t1,t2], left: [t1,t2], right: [t1,t2] }
- * Each frame is 16x16.
+ * Returns the animated tile for a decoration style, or null:
+ *   tile, share  — which tile type animates, and the share of those
+ *                  tiles that do
+ *   object       — replaces the tile's object texture (null keeps it)
+ *   frames       — overhead textures, placed like layers.overhead
+ *   sequence     — frame indexes to cycle through, one per frameMs
+ *   destroy()    — frees its textures
  */
-export function createCharacterTextures(palette) {
-  const body = palette.char1;
-  const skin = palette.char2;
-  const frames = {};
+export function createTileAnimation(decoration, palette) {
+  const frames = (count, draw) => Array.from({ length: count }, (_, i) => drawTexture((ctx) => draw(ctx, i)));
+  const animation = (spec) => ({
+    ...spec,
+    destroy: () => [spec.object, ...spec.frames].forEach((texture) => texture?.destroy(true)),
+  });
+
+  switch (decoration) {
+    case 'lamps':
+      // Cafe lamps among the trees, flickering now and then
+      return animation({
+        tile: TILE.DECO,
+        share: 0.25,
+        object: drawTexture((ctx) => drawLampPost(ctx, palette)),
+        frames: frames(3, (ctx, i) => drawLampHead(ctx, palette, [1, 0.6, 0.2][i])),
+        sequence: [0, 0, 0, 0, 0, 1, 0, 0, 0, 2, 0, 1, 0, 0, 0, 0],
+        frameMs: 90,
+      });
+    case 'neon':
+      // Every neon pillar pulses
+      return animation({
+        tile: TILE.DECO,
+        share: 1,
+        object: null,
+        frames: frames(5, (ctx, i) => drawNeonTop(ctx, palette, 0.2 + i * 0.2)),
+        sequence: [0, 1, 2, 3, 4, 3, 2, 1],
+        frameMs: 160,
+      });
+    case 'wisps':
+      // Cloud wisps drifting over the grass
+      return animation({
+        tile: TILE.GRASS,
+        share: 0.08,
+        object: null,
+        frames: frames(TS, (ctx, i) => drawWisp(ctx, i)),
+        sequence: Array.from({ length: TS }, (_, i) => i),
+        frameMs: 220,
+      });
+    default:
+      return null;
+  }
+}
 
-  function drawFrame(legOffset) {
-    const c = createCanvas();
-    const ctx = c.getContext('2d');
+/* ============================================
+   Character Sprite Frames
+   ============================================ */
 
-    // Head (skin color)
-    px(ctx, 6, 2, 4, 4, skin);
+const EYE = '#222';
+
+// Walk cycle: contact, passing, contact, passing on the other leg
+const WALK_STEPS = [1, 0, -1, 0];
+// Idle: a slow breath, the upper body dipping a pixel
+const IDLE_BOBS = [0, 1];
+
+function drawHair(ctx, style, dir, color) {
+  const side = dir === 'left';
+  switch (style) {
+    case 'short':
+      px(ctx, 6, 1, 4, 1, color);
+      if (dir === 'down') { px(ctx, 5, 2, 1, 2, color); px(ctx, 10, 2, 1, 2, color); px(ctx, 6, 2, 4, 1, color); }
+      if (dir === 'up') { px(ctx, 5, 2, 6, 3, color); }
+      if (side) { px(ctx, 6, 2, 4, 1, color); px(ctx, 9, 2, 1, 3, color); }
+      break;
+    case 'long':
+      px(ctx, 6, 1, 4, 1, color);
+      if (dir === 'down') { px(ctx, 5, 2, 1, 5, color); px(ctx, 10, 2, 1, 5, color); px(ctx, 6, 2, 4, 1, color); }
+      if (dir === 'up') { px(ctx, 5, 2, 6, 6, color); }
+      if (side) { px(ctx, 6, 2, 4, 1, color); px(ctx, 9, 2, 2, 6, color); }
+      break;
+    case 'spiky':
+      px(ctx, 6, 1, 4, 1, color);
+      px(ctx, 5, 0, 1, 2, color);
+      px(ctx, 7, 0, 1, 1, color);
+      px(ctx, 9, 0, 1, 1, color);
+      px(ctx, 10, 0, 1, 2, color);
+      if (dir === 'up') px(ctx, 6, 2, 4, 2, color);
+      if (side) px(ctx, 9, 2, 1, 2, color);
+      break;
+    default:
+      break;   // none
+  }
+}
 
-    // Eyes (dark)
-    px(ctx, 7, 3, 1, 1, '#222');
-    px(ctx, 8, 3, 1, 1, '#222');
+function drawAccessory(ctx, accessory, dir, palette) {
+  switch (accessory) {
+    case 'glasses':
+      if (dir === 'down') { px(ctx, 6, 3, 2, 1, EYE); px(ctx, 8, 3, 2, 1, EYE); px(ctx, 6, 4, 1, 1, EYE); px(ctx, 9, 4, 1, 1, EYE); }
+      if (dir === 'left') { px(ctx, 5, 3, 3, 1, EYE); px(ctx, 8, 3, 1, 1, EYE); }
+      break;
+    case 'hat':
+      px(ctx, 5, 0, 6, 2, palette.label);
+      px(ctx, dir === 'left' ? 3 : 4, 2, dir === 'left' ? 7 : 8, 1, palette.label);
+      break;
+    case 'scarf':
+      if (dir === 'left') px(ctx, 6, 6, 4, 1, palette.sparkle);
+      else px(ctx, 5, 6, 6, 1, palette.sparkle);
+      if (dir === 'down') px(ctx, 8, 7, 1, 2, palette.sparkle);
+      if (dir === 'left') px(ctx, 10, 7, 1, 2, palette.sparkle);
+      break;
+    default:
+      break;   // none
+  }
+}
 
-    // Body
-    px(ctx, 5, 6, 6, 5, body);
+/**
+ * Draws one 16x16 character frame. dir is 'down' (front), 'up' (back),
+ * 'left' or 'right' (profiles; right mirrors left). step moves the legs
+ * and arms (-1, 0 or 1); bob dips the upper body while idle.
+ */
+export function drawCharacter(ctx, palette, avatar, dir, { step = 0, bob = 0 } = {}) {
+  const outfit = palette[avatar.outfit] || palette.char1;
+  const skin = palette.char2;
+  const hair = palette.hair;
 
-    // Left leg
-    px(ctx, 5, 11, 2, 3 + legOffset, body);
-    // Right leg
-    px(ctx, 9, 11, 2, 3 - legOffset, body);
+  ctx.save();
+  if (dir === 'right') {
+    ctx.translate(TS, 0);
+    ctx.scale(-1, 1);
+  }
+  const face = dir === 'right' ? 'left' : dir;
+
+  if (face === 'left') {
+    // Legs together while passing, apart mid-stride
+    const spread = Math.abs(step) * 2;
+    px(ctx, 7 - spread, 11, 2, 3, outfit);
+    px(ctx, 7 + spread, 11, 2, 3, outfit);
+    px(ctx, 6 - spread, 14, 3, 1, skin);
+    px(ctx, 6 + spread, 14, 3, 1, skin);
+  } else {
+    // Legs lift in turn
+    px(ctx, 5, 11, 2, 3 + step, outfit);
+    px(ctx, 9, 11, 2, 3 - step, outfit);
+    px(ctx, 5, 14 + step, 2, 1, skin);
+    px(ctx, 9, 14 - step, 2, 1, skin);
+  }
 
-    // Feet
-    px(ctx, 5, 14 + legOffset, 2, 1, skin);
-    px(ctx, 9, 14 - legOffset, 2, 1, skin);
+  ctx.translate(0, bob);
 
-    return canvasToTexture(c);
+  if (face === 'left') {
+    px(ctx, 6, 6, 4, 5, outfit);
+    // Near arm swings against the front leg
+    px(ctx, 7 + step, 7, 2, 3, outfit);
+    px(ctx, 7 + step, 10, 2, 1, skin);
+    // Head in profile
+    px(ctx, 6, 2, 4, 4, skin);
+    px(ctx, 5, 4, 1, 1, skin);
+    px(ctx, 6, 3, 1, 1, EYE);
+  } else {
+    px(ctx, 5, 6, 6, 5, outfit);
+    // Arms swing opposite the legs
+    px(ctx, 4, 7 - step, 1, 3, outfit);
+    px(ctx, 11, 7 + step, 1, 3, outfit);
+    px(ctx, 4, 10 - step, 1, 1, skin);
+    px(ctx, 11, 10 + step, 1, 1, skin);
+    px(ctx, 6, 2, 4, 4, skin);
+    if (face === 'down') {
+      px(ctx, 7, 3, 1, 1, EYE);
+      px(ctx, 8, 3, 1, 1, EYE);
+    }
   }
 
-  frames.down  = [drawFrame(0), drawFrame(1)];
-  frames.up    = [drawFrame(0), drawFrame(-1)];
-  frames.left  = [drawFrame(0), drawFrame(1)];
-  frames.right = [drawFrame(0), drawFrame(-1)];
+  drawHair(ctx, avatar.hair, face, hair);
+  drawAccessory(ctx, avatar.accessory, face, palette);
+  ctx.restore();
+}
 
+/**
+ * Creates character textures for an avatar (see avatar.js).
+ * Returns { down, up, left, right }, each { walk: [4 frames], idle:
+ * [2 frames] }. Each frame is 16x16.
+ */
+export function createCharacterTextures(palette, avatar) {
+  const frames = {};
+  for (const dir of ['down', 'up', 'left', 'right']) {
+    frames[dir] = {
+      walk: WALK_STEPS.map((step) => drawTexture((ctx) => drawCharacter(ctx, palette, avatar, dir, { step }))),
+      idle: IDLE_BOBS.map((bob) => drawTexture((ctx) => drawCharacter(ctx, palette, avatar, dir, { bob }))),
+    };
+  }
   return frames;
 }
 
@@ -244,6 +603,8 @@ export function tileTextureKey(tileType) {
     case TILE.ABOUT:   return 'about';
     case TILE.EXIT:    return 'exit';
     case TILE.SPAWN:   return 'spawn';
-    default:           return 'grass';
+    case TILE.SIGN:    return 'sign';
+    case TILE.DOOR:    return 'door';
+    default:           return tileTypeById(tileType)?.key || 'grass';
   }
 }
@@ -0,0 +1,98 @@
+/**
+ * tiletypes.js — Tile types added with Explore.registerTileType
+ *
+ * The built-in tiles (TILE in map.js) are drawn in tiles.js and handled
+ * in map.js and core.js. A registered tile type gets the next free tile
+ * id and brings its own drawing, walkability and interaction; those
+ * modules ask here about any tile they don't know. Rooms in
+ * _data/explore_map.yml place one with a legend entry naming it, with an
+ * optional argument after the first colon:
+ *
+ *   legend:
+ *     "g": link:https://github.com/Marcushadow
+ */
+
+const FIRST_ID = 10;   // after TILE.DOOR
+
+// Names the map file legend already uses
+const RESERVED = new Set(['grass', 'path', 'deco', 'spawn', 'exit', 'about', 'post', 'project', 'tab', 'door', 'sign', 'npc']);
+
+const byId = new Map();
+const byName = new Map();
+
+/**
+ * Registers a tile type. spec:
+ *   label        — spoken and shown name ("Link"); defaults to the name
+ *   walkable     — whether the character can stand on it (default true)
+ *   paved        — drawn on path instead of grass (default true)
+ *   color        — palette key or CSS color for the minimap and 3D floor
+ *   draw(ctx, palette)     — draws the object on a 16x16 canvas
+ *   drawTop(ctx, palette)  — optional, drawn over the character
+ *   content(arg)           — optional { title, url, meta, description }
+ *                            for a tile placed as "name:arg"
+ *   interact(content, { room, col, row })
+ *                — optional; runs on E or a click while standing on the
+ *                  tile (or facing it, if it isn't walkable) instead of
+ *                  opening content.url in the panel
+ *
+ * Returns the tile id, or null (with a console warning) if the name is
+ * not a lowercase word or is taken.
+ */
+export function registerTileType(name, spec = {}) {
+  if (typeof name !== 'string' || !/^[a-z][a-z0-9-]*$/.test(name)) {
+    console.warn(`[explore] registerTileType: "${name}" is not a lowercase name`);
+    return null;
+  }
+  if (RESERVED.has(name) || byName.has(name)) {
+    console.warn(`[explore] registerTileType: "${name}" is already a tile type`);
+    return null;
+  }
+
+  const type = {
+    id: FIRST_ID + byId.size,
+    name,
+    key: `tile-${name}`,   // texture key, clear of the built-in ones
+    label: spec.label || name,
+    walkable: spec.walkable !== false,
+    paved: spec.paved !== false,
+    color: spec.color || null,
+    draw: spec.draw || null,
+    drawTop: spec.drawTop || null,
+    content: spec.content || null,
+    interact: spec.interact || null,
+  };
+  byId.set(type.id, type);
+  byName.set(name, type);
+  return type.id;
+}
+
+/** The registered type for a tile id, or null for built-in tiles. */
+export function tileTypeById(id) {
+  return byId.get(id) || null;
+}
+
+/** The registered type for a name (a contentMap entry's type), or null. */
+export function tileTypeNamed(name) {
+  return byName.get(name) || null;
+}
+
+/** Every registered type, in the order they were registered. */
+export function tileTypes() {
+  return [...byId.values()];
+}
+
+/**
+ * The contentMap entry for a registered tile placed as "name:arg".
+ */
+export function tileContent(type, arg = null) {
+  return { type: type.name, title: type.label, url: '', meta: '', ...type.content?.(arg), arg };
+}
+
+/**
+ * A registered type's color in a palette for the minimap and 3D floor:
+ * its own, or the ground it's drawn on.
+ */
+export function tileColor(type, palette) {
+  if (type.color) return palette[type.color] || type.color;
+  return type.paved ? palette.path1 : palette.grass1;
+}
@@ -0,0 +1,92 @@
+/**
+ * touch.js — Touch controls for the explore world
+ *
+ * Pinch to zoom on the world canvases and an on-screen D-pad. Taps need
+ * nothing extra: they arrive as clicks and go through click-to-move.
+ */
+
+/**
+ * Zooms while two fingers are down on el.
+ *   getZoom()       — current zoom level
+ *   setZoom(zoom)   — applies a new zoom level
+ *   enabled()       — false while the world ignores input
+ */
+export function addPinchZoom(el, { getZoom, setZoom, enabled }) {
+  const touches = new Map();
+  let startDistance = 0;
+  let startZoom = 1;
+
+  function distance() {
+    const [a, b] = [...touches.values()];
+    return Math.hypot(a.x - b.x, a.y - b.y);
+  }
+
+  el.addEventListener('pointerdown', (e) => {
+    if (e.pointerType !== 'touch') return;
+    touches.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    if (touches.size === 2) {
+      startDistance = distance();
+      startZoom = getZoom();
+    }
+  });
+
+  el.addEventListener('pointermove', (e) => {
+    if (!touches.has(e.pointerId)) return;
+    touches.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    if (touches.size === 2 && startDistance > 0 && enabled()) {
+      setZoom(startZoom * distance() / startDistance);
+    }
+  });
+
+  function release(e) {
+    touches.delete(e.pointerId);
+    if (touches.size < 2) startDistance = 0;
+  }
+  el.addEventListener('pointerup', release);
+  el.addEventListener('pointercancel', release);
+}
+
+/**
+ * Wires the D-pad buttons inside el. Arrow buttons carry
+ * data-step="dc,dr" and repeat while held; the action button carries
+ * data-action="interact".
+ *   onStep(dc, dr)  — moves the character one tile
+ *   onInteract()    — opens the content under the character
+ *   repeatMs        — delay between steps while a button is held
+ */
+export function createDpad(el, { onStep, onInteract, repeatMs }) {
+  let held = null;
+
+  function stopRepeat() {
+    clearInterval(held);
+    held = null;
+  }
+
+  el.querySelectorAll('[data-step]').forEach((button) => {
+    const [dc, dr] = button.dataset.step.split(',').map(Number);
+
+    button.addEventListener('pointerdown', (e) => {
+      e.preventDefault();
+      stopRepeat();
+      onStep(dc, dr);
+      held = setInterval(() => onStep(dc, dr), repeatMs);
+    });
+    button.addEventListener('pointerup', stopRepeat);
+    button.addEventListener('pointerleave', stopRepeat);
+    button.addEventListener('pointercancel', stopRepeat);
+
+    // Keyboard and switch users press the buttons instead
+    button.addEventListener('click', (e) => {
+      if (e.detail === 0) onStep(dc, dr);
+    });
+  });
+
+  el.querySelector('[data-action="interact"]')?.addEventListener('click', onInteract);
+
+  return {
+    show(visible) {
+      el.classList.toggle('hidden', !visible);
+      if (!visible) stopRepeat();
+    },
+  };
+}
@@ -0,0 +1,214 @@
+/**
+ * tour.js — The guided tour offered on the start prompt
+ *
+ * The tour walks the character from stop to stop and shows a caption at
+ * each one until the reader asks for the next. By default the stops are
+ * the newest post, every featured project and the About page. The site
+ * injects _data/explore_tour.yml as EXPLORE_DATA.tour to change that:
+ *
+ *   stops:
+ *     - show: posts.0            # a dotted path into EXPLORE_DATA
+ *       caption: "Start here: {title}"
+ *     - show: featured           # one stop per featured project
+ *     - show: about
+ *
+ * {path} in a caption is filled from the stop's item first ({title},
+ * {description}, {date}) and then from EXPLORE_DATA. Stops left without
+ * a caption get one for their kind. Broken stops are left out and their
+ * errors returned for the console; a file with no usable stops gives the
+ * default tour.
+ */
+
+import { fillText, isDataPath, resolvePath } from './npc.js';
+
+// Captions for stops without one, by the first part of their path
+const CAPTIONS = {
+  posts: 'A post from {date}. {description}',
+  latest: 'The newest post, from {date}. {description}',
+  projects: 'A project. {description}',
+  featured: 'A featured project. {description}',
+  tabs: 'A guitar tab to play along with.',
+  about: 'Who writes all this, and why.',
+};
+
+/* ============================================
+   Tour File
+   ============================================ */
+
+/**
+ * Builds the tour from the tour file and the site data. canVisit(url)
+ * says whether a page is somewhere in the world. Returns { stops, errors };
+ * stops are { url, title, caption }.
+ */
+export function parseTourFile(tourFile, data, canVisit) {
+  const errors = [];
+  if (!tourFile) return { stops: defaultTour(data, canVisit), errors };
+
+  const specs = tourFile.stops;
+  if (!Array.isArray(specs)) {
+    errors.push('"stops" must be a list');
+    return { stops: defaultTour(data, canVisit), errors };
+  }
+
+  const stops = [];
+  specs.forEach((spec, i) => {
+    const where = `stops.${i}`;
+    const show = typeof spec === 'string' ? spec : spec?.show;
+    if (!isDataPath(show)) {
+      errors.push(`${where}: "show" must be a data path such as posts.0`);
+      return;
+    }
+    if (spec?.caption !== undefined && typeof spec.caption !== 'string') {
+      errors.push(`${where}: "caption" must be text`);
+      return;
+    }
+
+    const items = show === 'featured' ? featuredProjects(data) : [resolvePath(data, show)];
+    if (show !== 'featured' && typeof items[0]?.url !== 'string') {
+      errors.push(`${where}: nothing to show at "${show}"`);
+      return;
+    }
+    for (const item of items) {
+      if (!canVisit(item.url)) {
+        errors.push(`${where}: ${item.url} is not in the world`);
+        continue;
+      }
+      const kind = show === 'featured' ? 'featured' : show.split('.')[0];
+      stops.push(makeStop(item, spec?.caption ?? CAPTIONS[kind] ?? '{title}', data));
+    }
+  });
+
+  if (stops.length === 0) {
+    errors.push('no stops left, using the default tour');
+    return { stops: defaultTour(data, canVisit), errors };
+  }
+  return { stops, errors };
+}
+
+/**
+ * The newest post, the featured projects and the About page, leaving out
+ * anything that isn't in the world.
+ */
+export function defaultTour(data, canVisit) {
+  const stops = [];
+  const latest = data.posts?.[0];
+  if (latest && canVisit(latest.url)) stops.push(makeStop(latest, CAPTIONS.latest, data));
+  for (const project of featuredProjects(data)) {
+    if (canVisit(project.url)) stops.push(makeStop(project, CAPTIONS.featured, data));
+  }
+  if (data.about && canVisit(data.about.url)) stops.push(makeStop(data.about, CAPTIONS.about, data));
+  return stops;
+}
+
+function featuredProjects(data) {
+  return (data.projects || []).filter((project) => project.featured);
+}
+
+function makeStop(item, caption, data) {
+  return {
+    url: item.url,
+    title: item.title || 'About Me',
+    caption: fillText(caption, { ...data, ...item }).trim(),
+  };
+}
+
+/* ============================================
+   Tour Guide
+   ============================================ */
+
+/**
+ * Runs the tour and its box in the HUD. onVisit(stop) sends the character
+ * to a stop, and arrive() tells the guide it got there. onHalt() stops the
+ * walk when the tour pauses or ends, and onChange() runs whenever the stop
+ * or the mode changes, so the game can save them.
+ *
+ * Returns { start(at), arrive(), pause(), end(), stop, at, mode }; mode is 'walking', 'stopped', 'paused' or null when no tour
+ * is running.
+ */
+export function createTourGuide({
+  root, stepEl, captionEl, nextButton, pauseButton, endButton, stops, onVisit, onHalt, onChange,
+}) {
+  let at = -1;
+  let mode = null;
+
+  function render() {
+    const stop = stops[at];
+    stepEl.textContent = `Tour: stop ${at + 1} of ${stops.length}`;
+
+    if (mode === 'walking') {
+      captionEl.textContent = `On the way to ${stop.title}…`;
+      nextButton.textContent = 'Skip this stop';
+    } else if (mode === 'stopped') {
+      captionEl.textContent = stop.caption || stop.title;
+      nextButton.textContent = at === stops.length - 1 ? 'Finish' : 'Next';
+    } else {
+      captionEl.textContent = `Paused before ${stop.title}. Look around, then pick up where you left off.`;
+      nextButton.textContent = 'Resume';
+    }
+    pauseButton.classList.toggle('hidden', mode === 'paused');
+    root.classList.remove('hidden');
+  }
+
+  function start(from = 0) {
+    if (stops.length === 0) return;
+    at = Math.min(Math.max(from, 0), stops.length - 1);
+    mode = 'walking';
+    render();
+    onChange?.();
+    onVisit(stops[at]);
+  }
+
+  function arrive() {
+    if (mode !== 'walking') return;
+    mode = 'stopped';
+    render();
+    onChange?.();
+    nextButton.focus();
+  }
+
+  function next() {
+    if (at === stops.length - 1) end();
+    else start(at + 1);
+  }
+
+  function pause() {
+    if (!mode || mode === 'paused') return;
+    mode = 'paused';
+    onHalt?.();
+    render();
+    onChange?.();
+  }
+
+  function end() {
+    if (!mode) return;
+    at = -1;
+    mode = null;
+    root.classList.add('hidden');
+    onHalt?.();
+    onChange?.();
+  }
+
+  nextButton.addEventListener('click', (e) => {
+    e.stopPropagation();
+    if (mode === 'paused') start(at);
+    else next();
+  });
+  pauseButton.addEventListener('click', (e) => {
+    e.stopPropagation();
+    pause();
+  });
+  endButton.addEventListener('click', (e) => {
+    e.stopPropagation();
+    end();
+  });
+
+  return {
+    start,
+    arrive,
+    pause,
+    end,
+    get stop() { return stops[at] || null; },
+    get at() { return at; },
+    get mode() { return mode; },
+  };
+}
@@ -0,0 +1,125 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { afterPageScripts, createExploreApi } from '../../assets/js/explore/api.js';
+import { buildGameGrid } from '../../assets/js/explore/map.js';
+import { parseMapFile } from '../../assets/js/explore/mapfile.js';
+import { exploreData } from './fixtures.js';
+
+// Commands that record their calls, as game.js hands them over
+function fakeCommands(calls) {
+  const record = (name) => (...args) => { calls.push([name, ...args]); return true; };
+  return {
+    walkTo: record('walkTo'),
+    teleport: record('teleport'),
+    openContent: record('openContent'),
+    closeContent: record('closeContent'),
+    setTheme: record('setTheme'),
+    where: () => ({ room: 'hall', col: 3, row: 2 }),
+  };
+}
+
+test('listeners hear the events they subscribed to until they stop', () => {
+  const explore = createExploreApi();
+  const heard = [];
+  const stop = explore.api.on('arrive', (detail) => heard.push(detail));
+  explore.emit('arrive', { col: 1, row: 1 });
+  explore.emit('exit', { url: '/' });
+  stop();
+  explore.emit('arrive', { col: 2, row: 2 });
+  assert.deepEqual(heard, [{ col: 1, row: 1 }]);
+});
+
+test('off removes a listener', () => {
+  const explore = createExploreApi();
+  let count = 0;
+  const fn = () => { count++; };
+  explore.api.on('content:close', fn);
+  explore.api.off('content:close', fn);
+  explore.emit('content:close');
+  assert.equal(count, 0);
+});
+
+test('unknown events are refused with a warning', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const explore = createExploreApi();
+  const stop = explore.api.on('teleport', () => assert.fail('never emitted'));
+  assert.equal(typeof stop, 'function');
+  assert.equal(warn.mock.callCount(), 1);
+});
+
+test('a failing listener does not stop the others', (t) => {
+  t.mock.method(console, 'error', () => {});
+  const explore = createExploreApi();
+  let heard = false;
+  explore.api.on('room:change', () => { throw new Error('broken'); });
+  explore.api.on('room:change', () => { heard = true; });
+  explore.emit('room:change', { room: 'study' });
+  assert.equal(heard, true);
+});
+
+test('commands are false until the game starts, then passed through', async () => {
+  const explore = createExploreApi();
+  const calls = [];
+  assert.equal(explore.api.where(), null);
+  explore.attach(fakeCommands(calls));
+  assert.equal(explore.api.walkTo(1, 2), false);
+  assert.deepEqual(calls, []);
+
+  explore.start();
+  assert.equal(await explore.api.ready, explore.api);
+  assert.equal(explore.api.walkTo(1, 2), true);
+  assert.equal(explore.api.teleport(3, 4, 'study'), true);
+  assert.deepEqual(calls, [['walkTo', 1, 2], ['teleport', 3, 4, 'study']]);
+  assert.deepEqual(explore.api.where(), { room: 'hall', col: 3, row: 2 });
+});
+
+test('tile types can only be registered before the world is built', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const explore = createExploreApi();
+  assert.equal(typeof explore.api.registerTileType('test-early', {}), 'number');
+  explore.attach(fakeCommands([]));
+  assert.equal(explore.api.registerTileType('test-late', {}), null);
+  assert.equal(warn.mock.callCount(), 1);
+});
+
+// A document and window that are past parsing, as a module script sees them
+function loadingPage() {
+  return { doc: Object.assign(new EventTarget(), { readyState: 'interactive' }), win: new EventTarget() };
+}
+
+test('a tile type registered by a later module script is in the world', async () => {
+  const { doc, win } = loadingPage();
+  const explore = createExploreApi();
+
+  // game.js: wait, then build the world and hand over the commands
+  const built = afterPageScripts(doc, win).then(() => {
+    const mapFile = { rooms: { hall: { legend: { g: 'test-beacon' }, tiles: 'PPP\nSg=' } } };
+    const { layouts, errors } = parseMapFile(mapFile, exploreData());
+    explore.attach(fakeCommands([]));
+    return { errors, grid: buildGameGrid(exploreData(), 'hall', layouts.get('hall')).grid };
+  });
+
+  // The module script after it
+  const beacon = explore.api.registerTileType('test-beacon', { label: 'Beacon' });
+  assert.equal(typeof beacon, 'number');
+
+  doc.dispatchEvent(new Event('DOMContentLoaded'));
+  const { errors, grid } = await built;
+  assert.deepEqual(errors, []);
+  assert.ok(grid.some((tiles) => tiles.includes(beacon)));
+});
+
+test('afterPageScripts waits for load past DOMContentLoaded, and not once the page is complete', async () => {
+  const { doc, win } = loadingPage();
+  let done = false;
+  const waiting = afterPageScripts(doc, win).then(() => { done = true; });
+  await Promise.resolve();
+  assert.equal(done, false);
+  win.dispatchEvent(new Event('load'));
+  await waiting;
+  assert.equal(done, true);
+
+  doc.readyState = 'complete';
+  await afterPageScripts(doc, win);
+});
@@ -0,0 +1,336 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createGameCore, facing, isOpenable, isUsable } from '../../assets/js/explore/core.js';
+import { registerTileType } from '../../assets/js/explore/tiletypes.js';
+import { drawWorld } from './fixtures.js';
+
+const WALK_SPEED = 100;
+
+// A core in the drawn world, plus every event it emits in order
+function setup(options = {}) {
+  const core = createGameCore({ rooms: drawWorld(), start: 'hall', walkSpeed: WALK_SPEED, ...options });
+  const events = [];
+  for (const type of ['walk', 'arrive', 'door', 'exit', 'room', 'open', 'close']) {
+    core.on(type, (detail) => events.push({ type, ...detail }));
+  }
+  return { core, events };
+}
+
+// Runs the walk in 10 ms steps until it ends
+function finishWalk(core) {
+  for (let i = 0; i < 1000 && core.walking; i++) core.update(10);
+}
+
+const types = (events) => events.map((event) => event.type);
+
+/* ============================================
+   Start
+   ============================================ */
+
+test('the character starts on the spawn facing down', () => {
+  const { core } = setup();
+  assert.equal(core.room.id, 'hall');
+  assert.deepEqual([core.col, core.row, core.dir], [3, 2, 'down']);
+  assert.equal(core.walking, false);
+  assert.equal(core.panel, null);
+});
+
+test('a saved position is resumed', () => {
+  const { core } = setup({ position: { room: 'workshop', col: 2, row: 1, dir: 'left' } });
+  assert.equal(core.room.id, 'workshop');
+  assert.deepEqual([core.col, core.row, core.dir], [2, 1, 'left']);
+});
+
+/* ============================================
+   Walking
+   ============================================ */
+
+test('walkTo walks one tile per walkSpeed and arrives on the target', () => {
+  const { core, events } = setup();
+  assert.equal(core.walkTo(3, 4), true);
+  assert.equal(core.walking, true);
+  assert.equal(core.dir, 'down');
+
+  core.update(WALK_SPEED / 2);
+  assert.equal(core.y, 2.5);
+  assert.equal(core.row, 2);
+
+  core.update(WALK_SPEED / 2);
+  assert.equal(core.row, 3);
+  assert.equal(core.walking, true);
+
+  core.update(WALK_SPEED);
+  assert.deepEqual([core.col, core.row], [3, 4]);
+  assert.equal(core.walking, false);
+  assert.deepEqual(types(events), ['walk', 'arrive']);
+  assert.deepEqual(events[1], { type: 'arrive', col: 3, row: 4, content: null, meet: null });
+});
+
+test('walkTo is false for a tile that cannot be reached', () => {
+  const { core, events } = setup();
+  assert.equal(core.walkTo(0, 0), false);
+  assert.equal(core.walking, false);
+  assert.deepEqual(events, []);
+});
+
+test('diagonal steps take longer than straight ones', () => {
+  const { core } = setup({ diagonal: true });
+  core.walkTo(4, 3);
+  core.update(WALK_SPEED);
+  assert.equal(core.walking, true);
+  core.update(WALK_SPEED * (Math.SQRT2 - 1));
+  assert.deepEqual([core.col, core.row, core.walking], [4, 3, false]);
+});
+
+test('instant walks land on the target straight away', () => {
+  const { core, events } = setup({ instant: () => true });
+  core.walkTo(1, 3);
+  assert.deepEqual([core.col, core.row, core.walking], [1, 3, false]);
+  assert.deepEqual(types(events), ['walk', 'arrive']);
+});
+
+test('instant walks stop next to someone standing on the target', () => {
+  let someone = null;
+  const { core, events } = setup({
+    instant: () => true,
+    blocked: (col, row) => someone?.col === col && someone?.row === row,
+  });
+  core.on('walk', () => { someone = { col: 3, row: 4 }; });
+  core.walkTo(3, 4);
+  assert.deepEqual([core.col, core.row, core.walking], [3, 3, false]);
+  assert.deepEqual(types(events), ['walk', 'arrive']);
+});
+
+test('step moves one tile and faces the way it went', () => {
+  const { core } = setup();
+  assert.equal(core.step(-1, 0), true);
+  assert.equal(core.dir, 'left');
+  assert.equal(core.step(-1, 0), false);   // still walking
+  finishWalk(core);
+  assert.deepEqual([core.col, core.row], [2, 2]);
+});
+
+test('step does not walk into walls', () => {
+  const { core } = setup({ position: { room: 'hall', col: 1, row: 2, dir: 'down' } });
+  assert.equal(core.step(-1, 0), false);
+  assert.equal(core.walking, false);
+});
+
+test('bumping into someone turns to face them', () => {
+  const { core } = setup({ blocked: (col, row) => col === 3 && row === 1 });
+  assert.equal(core.step(0, -1), false);
+  assert.equal(core.dir, 'up');
+  assert.equal(core.walking, false);
+});
+
+test('a walk goes around someone who steps into the way', () => {
+  let someone = null;
+  const { core } = setup({ blocked: (col, row) => someone?.col === col && someone?.row === row });
+  core.walkTo(3, 4);
+  someone = { col: 3, row: 4 };
+  core.update(WALK_SPEED);
+  finishWalk(core);
+  assert.notDeepEqual([core.col, core.row], [3, 4]);
+  assert.ok(Math.abs(core.col - 3) <= 1 && Math.abs(core.row - 4) <= 1);
+});
+
+test('a walk blocked before its first step stops without using the door underfoot', () => {
+  let someone = null;
+  const { core, events } = setup({
+    position: { room: 'workshop', col: 1, row: 1, dir: 'right' },
+    blocked: (col, row) => someone?.col === col && someone?.row === row,
+  });
+  core.on('walk', () => { someone = { col: 2, row: 1 }; });
+  assert.equal(core.walkTo(3, 1), true);
+  finishWalk(core);
+  assert.deepEqual([core.room.id, core.col, core.row, core.walking], ['workshop', 1, 1, false]);
+  assert.deepEqual(types(events), ['walk']);
+});
+
+test('stop ends the walk after the current step', () => {
+  const { core } = setup();
+  core.walkTo(3, 4);
+  core.update(WALK_SPEED / 2);
+  core.stop();
+  finishWalk(core);
+  assert.deepEqual([core.col, core.row], [3, 3]);
+});
+
+test('facing prefers up and down for diagonal steps', () => {
+  assert.equal(facing(1, -1), 'up');
+  assert.equal(facing(-1, 1), 'down');
+  assert.equal(facing(-1, 0), 'left');
+  assert.equal(facing(0, 0), null);
+});
+
+/* ============================================
+   Interaction
+   ============================================ */
+
+test('interact opens the content underfoot in the panel', () => {
+  const { core, events } = setup({ position: { room: 'hall', col: 1, row: 1, dir: 'down' } });
+  assert.equal(core.interact(), true);
+  assert.equal(core.panel, '/blog/newest/');
+  assert.ok(core.opened.has('/blog/newest/'));
+  assert.equal(events[0].type, 'open');
+  assert.equal(events[0].content.title, 'Newest');
+});
+
+test('interact does nothing off content', () => {
+  const { core, events } = setup();
+  assert.equal(core.interact(), false);
+  assert.deepEqual(events, []);
+});
+
+test('the character stays put while the panel is open', () => {
+  const { core } = setup({ position: { room: 'hall', col: 1, row: 1, dir: 'down' } });
+  core.interact();
+  assert.equal(core.walkTo(3, 3), false);
+  assert.equal(core.step(1, 0), false);
+  core.closePanel();
+  assert.equal(core.panel, null);
+  assert.equal(core.step(1, 0), true);
+});
+
+test('clicking the tile underfoot opens it, clicking elsewhere walks', () => {
+  const { core } = setup({ position: { room: 'hall', col: 1, row: 1, dir: 'down' } });
+  assert.equal(core.click(3, 3), true);
+  assert.equal(core.walking, true);
+  assert.equal(core.panel, null);
+
+  const other = setup({ position: { room: 'hall', col: 1, row: 1, dir: 'down' } }).core;
+  assert.equal(other.click(1, 1), true);
+  assert.equal(other.panel, '/blog/newest/');
+});
+
+test('pages outside the world open without counting as opened', () => {
+  const { core, events } = setup();
+  core.openUrl('/now/');
+  assert.equal(core.panel, '/now/');
+  assert.equal(core.opened.size, 0);
+  assert.equal(events[0].content, null);
+});
+
+test('isOpenable leaves out doors and the exit', () => {
+  const rooms = drawWorld();
+  const types = [...rooms.get('hall').contentMap.values()].filter(isOpenable).map((content) => content.type);
+  assert.deepEqual(types.sort(), ['post', 'post']);
+});
+
+/* ============================================
+   Doors and the Exit
+   ============================================ */
+
+test('arriving on the exit asks to leave', () => {
+  const { core, events } = setup();
+  core.walkTo(1, 4);
+  finishWalk(core);
+  assert.deepEqual(types(events), ['walk', 'arrive', 'exit']);
+  assert.equal(events[2].url, '/');
+});
+
+test('arriving on a door asks to go through, and enterRoom does', () => {
+  const { core, events } = setup();
+  core.on('door', ({ room }) => core.enterRoom(room));
+  core.walkTo(5, 1);
+  finishWalk(core);
+  assert.deepEqual(types(events), ['walk', 'arrive', 'door', 'room']);
+  assert.equal(core.room.id, 'workshop');
+  assert.deepEqual([core.col, core.row], [1, 1]);   // on the door back
+});
+
+test('a walk to meet someone skips the door it ends on', () => {
+  const { core, events } = setup();
+  const npc = { name: 'Barista' };
+  core.walkTo(5, 1, { meet: npc });
+  finishWalk(core);
+  assert.deepEqual(types(events), ['walk', 'arrive']);
+  assert.equal(events[1].meet, npc);
+});
+
+test('jumpTo lands and arrives without walking', () => {
+  const { core, events } = setup();
+  core.jumpTo(5, 4);
+  assert.deepEqual([core.col, core.row, core.walking], [5, 4, false]);
+  assert.equal(events[0].content.title, 'Oldest');
+});
+
+test('enterRoom is false for a room that is not there', () => {
+  const { core } = setup();
+  assert.equal(core.enterRoom('music'), false);
+  assert.equal(core.room.id, 'hall');
+});
+
+test('reset goes back to the spawn with nothing opened', () => {
+  const { core, events } = setup({ position: { room: 'workshop', col: 3, row: 1, dir: 'up' } });
+  core.interact();
+  core.reset();
+  assert.deepEqual([core.room.id, core.col, core.row, core.dir], ['hall', 3, 2, 'down']);
+  assert.equal(core.opened.size, 0);
+  assert.deepEqual(types(events), ['open', 'close', 'room']);
+});
+
+test('the same commands and time steps end in the same state', () => {
+  const run = () => {
+    const { core } = setup({ diagonal: true });
+    core.walkTo(5, 4);
+    core.update(37);
+    core.update(120);
+    core.walkTo(1, 1);
+    for (let i = 0; i < 9; i++) core.update(53);
+    return [core.col, core.row, core.dir, core.x, core.y, core.walking];
+  };
+  assert.deepEqual(run(), run());
+});
+
+/* ============================================
+   Registered Tiles
+   ============================================ */
+
+const used = [];
+const LEVER = registerTileType('test-lever', {
+  interact: (content, where) => used.push({ title: content.title, ...where }),
+});
+const BELL = registerTileType('test-bell', {
+  walkable: false,
+  interact: (content, where) => used.push({ title: content.title, ...where }),
+});
+
+// The hall with a lever on (2,3) and a bell on (4,3)
+function setupWithTiles(position) {
+  const rooms = drawWorld();
+  const hall = rooms.get('hall');
+  hall.grid[3][2] = LEVER;
+  hall.grid[3][4] = BELL;
+  hall.contentMap.set('2,3', { type: 'test-lever', title: 'Lever', url: '/lever/' });
+  hall.contentMap.set('4,3', { type: 'test-bell', title: 'Bell', url: '' });
+  used.length = 0;
+  return createGameCore({ rooms, start: 'hall', walkSpeed: WALK_SPEED, position });
+}
+
+test('interact runs a registered tile\'s handler instead of opening it', () => {
+  const core = setupWithTiles({ room: 'hall', col: 2, row: 3, dir: 'down' });
+  assert.equal(isUsable(core.contentAt(2, 3)), true);
+  assert.equal(isOpenable(core.contentAt(2, 3)), false);
+  assert.equal(core.interact(), true);
+  assert.equal(core.panel, null);
+  assert.deepEqual(used, [{ title: 'Lever', room: 'hall', col: 2, row: 3 }]);
+});
+
+test('a registered obstacle is used from the tile facing it', () => {
+  const core = setupWithTiles({ room: 'hall', col: 5, row: 3, dir: 'down' });
+  assert.equal(core.interact(), false);
+  assert.equal(core.step(-1, 0), false);   // bumps into it and turns
+  assert.equal(core.dir, 'left');
+  assert.equal(core.interact(), true);
+  assert.deepEqual(used, [{ title: 'Bell', room: 'hall', col: 4, row: 3 }]);
+});
+
+test('clicking a registered obstacle next to the character uses it', () => {
+  const core = setupWithTiles({ room: 'hall', col: 4, row: 2, dir: 'up' });
+  assert.equal(core.click(4, 3), true);
+  assert.equal(core.dir, 'down');
+  assert.equal(used.length, 1);
+  assert.equal(core.walking, false);
+});
@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { besideTile, formatHash, parseHash } from '../../assets/js/explore/deeplink.js';
+import { drawRoom, drawWorld } from './fixtures.js';
+
+/* ============================================
+   parseHash
+   ============================================ */
+
+test('parseHash reads a link to content', () => {
+  assert.deepEqual(parseHash('#post=/blog/2026/03/18/Stasis/'), { url: '/blog/2026/03/18/Stasis/', open: false });
+  assert.deepEqual(parseHash('#project=/projects/tool/&open'), { url: '/projects/tool/', open: true });
+});
+
+test('parseHash decodes escaped URLs', () => {
+  assert.deepEqual(parseHash('#tab=/guitar-tabs/a%20song%26more/'), { url: '/guitar-tabs/a song&more/', open: false });
+  assert.deepEqual(parseHash('#post=/blog/100%/'), { url: '/blog/100%/', open: false });
+});
+
+test('parseHash reads a tile, in the start room unless one is named', () => {
+  assert.deepEqual(parseHash('#at=5,4'), { room: null, col: 5, row: 4 });
+  assert.deepEqual(parseHash('#room=workshop&at=2,1'), { room: 'workshop', col: 2, row: 1 });
+});
+
+test('parseHash is null for hashes that name no place', () => {
+  assert.equal(parseHash(''), null);
+  assert.equal(parseHash('#'), null);
+  assert.equal(parseHash('#at=five,4'), null);
+  assert.equal(parseHash('#post='), null);
+  assert.equal(parseHash('#comments'), null);
+});
+
+/* ============================================
+   formatHash
+   ============================================ */
+
+test('formatHash names the content at a place', () => {
+  const content = { type: 'post', url: '/blog/newest/' };
+  assert.equal(formatHash({ room: 'hall', col: 1, row: 1, content }, 'hall'), '#post=/blog/newest/');
+  assert.equal(formatHash({ room: 'hall', col: 1, row: 1, content, open: true }, 'hall'), '#post=/blog/newest/&open');
+});
+
+test('formatHash falls back to the tile for doors and plain ground', () => {
+  const door = { type: 'door', url: '', room: 'hall' };
+  assert.equal(formatHash({ room: 'hall', col: 3, row: 2 }, 'hall'), '#at=3,2');
+  assert.equal(formatHash({ room: 'workshop', col: 1, row: 1, content: door }, 'hall'), '#room=workshop&at=1,1');
+});
+
+test('formatHash and parseHash round-trip', () => {
+  const url = '/guitar-tabs/a song&more/';
+  assert.deepEqual(parseHash(formatHash({ room: 'music', col: 0, row: 0, content: { type: 'tab', url }, open: true }, 'hall')), { url, open: true });
+  assert.deepEqual(parseHash(formatHash({ room: 'study', col: 4, row: 7 }, 'hall')), { room: 'study', col: 4, row: 7 });
+});
+
+/* ============================================
+   besideTile
+   ============================================ */
+
+test('besideTile stands below a tile, facing it', () => {
+  const hall = drawWorld().get('hall');
+  assert.deepEqual(besideTile(hall, 1, 1), { col: 1, row: 2, dir: 'up' });
+});
+
+test('besideTile goes round walls, people and other content', () => {
+  const hall = drawWorld().get('hall');
+  assert.deepEqual(besideTile(hall, 5, 4), { col: 4, row: 4, dir: 'right' });
+  assert.deepEqual(besideTile(hall, 1, 1, (col, row) => col === 1 && row === 2), { col: 2, row: 1, dir: 'left' });
+});
+
+test('besideTile stands on another content tile only if it must', () => {
+  const contents = { a: { type: 'post', url: '/a/' }, b: { type: 'post', url: '/b/' } };
+  assert.deepEqual(besideTile(drawRoom('test', ['.a.', '.b.'], contents), 1, 0), { col: 0, row: 0, dir: 'right' });
+  assert.deepEqual(besideTile(drawRoom('test', ['#a#', '#b#'], contents), 1, 0), { col: 1, row: 1, dir: 'up' });
+});
+
+test('besideTile stays on the tile when there is nowhere else', () => {
+  const room = drawRoom('test', ['#', 'a', '#'], { a: { type: 'post', url: '/a/' } });
+  assert.deepEqual(besideTile(room, 0, 1), { col: 0, row: 1, dir: 'down' });
+});
@@ -0,0 +1,85 @@
+/**
+ * fixtures.js — Site data and hand-drawn rooms for the explore tests
+ */
+
+import { TILE } from '../../assets/js/explore/map.js';
+
+/** A small EXPLORE_DATA, shaped like _includes/explore-data.html's. */
+export function exploreData() {
+  return {
+    posts: [
+      { title: 'Newest', url: '/blog/newest/', date: '2026-06-02', tags: ['ai'], description: 'The newest post.' },
+      { title: 'Middle', url: '/blog/middle/', date: '2026-03-14', tags: ['ai'], description: '' },
+      { title: 'Oldest', url: '/blog/oldest/', date: '2025-11-30', tags: ['life'], description: '' },
+    ],
+    projects: [
+      { title: 'Tool', url: '/projects/tool/', description: 'A CLI tool.', tags: ['python'], featured: true },
+      { title: 'Game', url: '/projects/game/', description: 'A small game.', tags: ['js'], featured: false },
+    ],
+    tabs: [
+      { title: 'Song', url: '/guitar-tabs/song/' },
+    ],
+    about: { url: '/about/' },
+    tags: [
+      { name: 'ai', description: 'Agents and models.', color: '#7c5cff' },
+      { name: 'life', description: 'Everything else.', color: '#2aa876' },
+    ],
+  };
+}
+
+// One character per tile. Lowercase letters are content tiles and get
+// their entry from the room's contents
+const LEGEND = {
+  '.': TILE.GRASS,
+  '=': TILE.PATH,
+  '#': TILE.DECO,
+  S: TILE.SPAWN,
+  a: TILE.BLOG,
+  b: TILE.BLOG,
+  p: TILE.PROJECT,
+  x: TILE.EXIT,
+  h: TILE.DOOR,
+  w: TILE.DOOR,
+};
+
+/**
+ * A room as buildWorld makes them, from rows of characters.
+ * contents maps a character to the contentMap entry of its tiles.
+ */
+export function drawRoom(id, rows, contents = {}) {
+  const grid = rows.map((line) => [...line].map((ch) => LEGEND[ch]));
+  const contentMap = new Map();
+  rows.forEach((line, row) => [...line].forEach((ch, col) => {
+    if (contents[ch]) contentMap.set(`${col},${row}`, contents[ch]);
+  }));
+  return { id, name: id, grid, contentMap, districts: [] };
+}
+
+/**
+ * A hall with two posts, the exit and a door to a workshop with one
+ * project, keyed by id like buildWorld's rooms.
+ */
+export function drawWorld() {
+  const hall = drawRoom('hall', [
+    '#######',
+    '#a...w#',
+    '#..S..#',
+    '#.....#',
+    '#x...b#',
+    '#######',
+  ], {
+    a: { type: 'post', title: 'Newest', url: '/blog/newest/' },
+    b: { type: 'post', title: 'Oldest', url: '/blog/oldest/' },
+    x: { type: 'exit', title: 'Exit', url: '/' },
+    w: { type: 'door', title: 'workshop', url: '', room: 'workshop' },
+  });
+  const workshop = drawRoom('workshop', [
+    '#####',
+    '#h.p#',
+    '#####',
+  ], {
+    h: { type: 'door', title: 'hall', url: '', room: 'hall' },
+    p: { type: 'project', title: 'Tool', url: '/projects/tool/' },
+  });
+  return new Map([['hall', hall], ['workshop', workshop]]);
+}
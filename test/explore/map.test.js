@@ -0,0 +1,247 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { COLS, ROWS, TILE, buildGameGrid, buildWorld, findDoor, findPath, findSpawn, isWalkable, reachableTiles, tileCost } from '../../assets/js/explore/map.js';
+import { parseMapFile } from '../../assets/js/explore/mapfile.js';
+import { registerTileType } from '../../assets/js/explore/tiletypes.js';
+import { drawRoom, exploreData } from './fixtures.js';
+
+function contentOfType(contentMap, type) {
+  return [...contentMap.values()].filter((content) => content.type === type);
+}
+
+/* ============================================
+   buildGameGrid
+   ============================================ */
+
+test('buildGameGrid puts every post in the hall', () => {
+  const data = exploreData();
+  const { contentMap } = buildGameGrid(data, 'hall');
+  const urls = contentOfType(contentMap, 'post').map((post) => post.url).sort();
+  assert.deepEqual(urls, data.posts.map((post) => post.url).sort());
+});
+
+test('buildGameGrid makes a rectangular grid of at least the minimum size', () => {
+  const { grid } = buildGameGrid(exploreData(), 'hall');
+  assert.ok(grid.length >= ROWS);
+  assert.ok(grid[0].length >= COLS);
+  grid.forEach((tiles) => assert.equal(tiles.length, grid[0].length));
+});
+
+test('buildGameGrid builds the same hall from the same content', () => {
+  const first = buildGameGrid(exploreData(), 'hall');
+  const second = buildGameGrid(exploreData(), 'hall');
+  assert.deepEqual(first.grid, second.grid);
+  assert.deepEqual([...first.contentMap], [...second.contentMap]);
+});
+
+test('buildGameGrid gives the hall one spawn, the exit and doors', () => {
+  const { grid, contentMap } = buildGameGrid(exploreData(), 'hall');
+  assert.equal(grid.flat().filter((tile) => tile === TILE.SPAWN).length, 1);
+  assert.deepEqual(contentOfType(contentMap, 'exit').map((exit) => exit.url), ['/']);
+  const doors = contentOfType(contentMap, 'door').map((door) => door.room).sort();
+  assert.deepEqual(doors, ['music', 'study', 'workshop']);
+});
+
+test('buildGameGrid marks each tag district with a signpost', () => {
+  const { contentMap } = buildGameGrid(exploreData(), 'hall');
+  const signs = contentOfType(contentMap, 'sign').map((sign) => sign.title).sort();
+  assert.deepEqual(signs, ['ai', 'life']);
+});
+
+test('everything in every room can be reached from where the reader enters', () => {
+  const { start, rooms } = buildWorld(exploreData());
+  for (const room of rooms.values()) {
+    const from = room.id === start ? findSpawn(room.grid) : findDoor(room, start);
+    for (const [key, content] of room.contentMap) {
+      const [col, row] = key.split(',').map(Number);
+      // Signposts are obstacles: the path ends next to them
+      const beside = Math.max(Math.abs(col - from.col), Math.abs(row - from.row)) <= 1;
+      const path = findPath(room.grid, from.col, from.row, col, row);
+      assert.ok(path.length > 0 || beside, `${room.id}: ${content.type} at ${key} can't be reached`);
+    }
+  }
+});
+
+test('a blog with no posts still has a hall to start in', () => {
+  const { start, rooms } = buildWorld({ ...exploreData(), posts: [] });
+  assert.equal(start, 'hall');
+  assert.ok(rooms.has('hall'));
+  const hall = rooms.get('hall');
+  assert.deepEqual(contentOfType(hall.contentMap, 'post'), []);
+  assert.equal(contentOfType(hall.contentMap, 'exit').length, 1);
+  assert.equal(hall.grid[findSpawn(hall.grid).row][findSpawn(hall.grid).col], TILE.SPAWN);
+});
+
+test('reachableTiles floods the walkable tiles on this side of a wall', () => {
+  const { grid } = drawRoom('test', [
+    '.=#.',
+    '#.#.',
+  ]);
+  assert.deepEqual([...reachableTiles(grid, 0, 0)].sort(), ['0,0', '1,0', '1,1']);
+});
+
+/* ============================================
+   findSpawn
+   ============================================ */
+
+test('findSpawn finds the spawn tile', () => {
+  const room = drawRoom('test', [
+    '....',
+    '..S.',
+  ]);
+  assert.deepEqual(findSpawn(room.grid), { col: 2, row: 1 });
+});
+
+test('findSpawn falls back to a fixed tile when there is no spawn', () => {
+  const room = drawRoom('test', ['....']);
+  assert.deepEqual(findSpawn(room.grid), { col: 5, row: 4 });
+});
+
+/* ============================================
+   findPath
+   ============================================ */
+
+test('findPath leaves out the start and ends on the target', () => {
+  const { grid } = drawRoom('test', ['....']);
+  assert.deepEqual(findPath(grid, 0, 0, 3, 0), [
+    { col: 1, row: 0 },
+    { col: 2, row: 0 },
+    { col: 3, row: 0 },
+  ]);
+});
+
+test('findPath is empty for the tile the walk starts on', () => {
+  const { grid } = drawRoom('test', ['....']);
+  assert.deepEqual(findPath(grid, 1, 0, 1, 0), []);
+});
+
+test('findPath goes around obstacles', () => {
+  const { grid } = drawRoom('test', [
+    '.#.',
+    '.#.',
+    '...',
+  ]);
+  const path = findPath(grid, 0, 0, 2, 0);
+  assert.equal(path.length, 6);
+  assert.ok(path.every(({ col, row }) => isWalkable(grid[row][col])));
+});
+
+test('findPath is empty when the target is walled off', () => {
+  const { grid } = drawRoom('test', [
+    '..#.',
+    '..#.',
+  ]);
+  assert.deepEqual(findPath(grid, 0, 0, 3, 0), []);
+});
+
+test('findPath is empty for a target outside the grid', () => {
+  const { grid } = drawRoom('test', ['...']);
+  assert.deepEqual(findPath(grid, 0, 0, 5, 0), []);
+});
+
+test('findPath follows paved streets over grass', () => {
+  const { grid } = drawRoom('test', [
+    '.....',
+    '=====',
+  ]);
+  const path = findPath(grid, 0, 1, 4, 1);
+  assert.ok(path.every(({ row }) => row === 1));
+});
+
+test('findPath steps diagonally only when asked to', () => {
+  const { grid } = drawRoom('test', [
+    '...',
+    '...',
+    '...',
+  ]);
+  assert.equal(findPath(grid, 0, 0, 2, 2).length, 4);
+  assert.equal(findPath(grid, 0, 0, 2, 2, { diagonal: true }).length, 2);
+});
+
+test('findPath does not cut the corner of an obstacle', () => {
+  const { grid } = drawRoom('test', [
+    '.#',
+    '..',
+  ]);
+  assert.deepEqual(findPath(grid, 0, 0, 1, 1, { diagonal: true }), [
+    { col: 0, row: 1 },
+    { col: 1, row: 1 },
+  ]);
+});
+
+test('findPath treats blocked tiles as obstacles', () => {
+  const { grid } = drawRoom('test', [
+    '...',
+    '...',
+  ]);
+  const blocked = (col, row) => col === 1 && row === 0;
+  const path = findPath(grid, 0, 0, 2, 0, { blocked });
+  assert.ok(!path.some(({ col, row }) => blocked(col, row)));
+  assert.deepEqual(path[path.length - 1], { col: 2, row: 0 });
+});
+
+test('findPath stops next to a blocked target', () => {
+  const { grid } = drawRoom('test', ['....']);
+  const path = findPath(grid, 0, 0, 3, 0, { blocked: (col, row) => col === 3 && row === 0 });
+  assert.deepEqual(path[path.length - 1], { col: 2, row: 0 });
+  assert.deepEqual(findPath(grid, 2, 0, 3, 0, { blocked: (col) => col === 3 }), []);
+});
+
+/* ============================================
+   Registered tile types
+   ============================================ */
+
+const LINK = registerTileType('test-link', {
+  label: 'Link',
+  content: (url) => ({ title: url, url }),
+});
+const STATUE = registerTileType('test-statue', { walkable: false, paved: false });
+
+test('registered tile types get their own walkability and cost', () => {
+  assert.ok(LINK >= 10 && STATUE === LINK + 1);
+  assert.equal(isWalkable(LINK), true);
+  assert.equal(isWalkable(STATUE), false);
+  assert.equal(tileCost(LINK), tileCost(TILE.PATH));
+  assert.equal(tileCost(STATUE), Infinity);
+});
+
+test('registerTileType refuses built-in, taken and malformed names', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  assert.equal(registerTileType('door'), null);
+  assert.equal(registerTileType('test-link'), null);
+  assert.equal(registerTileType('Two Words'), null);
+  assert.equal(warn.mock.callCount(), 3);
+});
+
+test('a map file places registered tiles from its legend', () => {
+  const mapFile = {
+    rooms: {
+      hall: {
+        legend: { w: 'door:workshop', g: 'test-link:https://example.com/a:b', k: 'test-statue' },
+        tiles: [
+          '#######',
+          '#PPP..#',
+          '#=S=gk#',
+          '#w..X.#',
+          '#######',
+        ].join('\n'),
+      },
+    },
+  };
+  const data = exploreData();
+  const { layouts, errors } = parseMapFile(mapFile, data);
+  assert.deepEqual(errors, []);
+  const { grid, contentMap } = buildGameGrid(data, 'hall', layouts.get('hall'));
+  assert.equal(grid[2][4], LINK);
+  assert.equal(grid[2][5], STATUE);
+  assert.deepEqual(contentMap.get('4,2'), {
+    type: 'test-link', title: 'https://example.com/a:b', url: 'https://example.com/a:b', meta: '', arg: 'https://example.com/a:b',
+  });
+  assert.equal(contentMap.get('5,2').title, 'test-statue');
+});
+
+test('a map file reports tile types nobody registered', () => {
+  const { errors } = parseMapFile({ rooms: { hall: { legend: { q: 'fountain' }, tiles: 'S' } } }, exploreData());
+  assert.ok(errors.some((msg) => msg.includes('unknown tile type "fountain"')));
+});